@@ -0,0 +1,3 @@
+#!/usr/bin/env node
+
+require("../src/cli").main();
@@ -1,11 +1,170 @@
 const Registry = require('./src/registry');
 const RetirementExplorerApi = require("./src/retirement-explorer");
 const TokenDriver = require('./src/token-driver');
+const RetirementSyncer = require('./src/retirement-syncer');
+const HttpTransport = require('./src/transport');
+const WalletRpcClient = require('./src/chia/wallet');
+const DataLayerRpcClient = require('./src/chia/datalayer');
+const CadtQuery = require('./src/query-builder');
+const serialNumber = require('./src/utils/serial-number');
+const schemas = require('./src/schemas');
+const OrgMetadataStore = require('./src/org-metadata');
+const {
+  MemoryRetirementJournal,
+  FileRetirementJournal,
+} = require('./src/retirement-journal');
+const DetokenizationWorkflow = require('./src/workflows/detokenization');
+const TokenizationWorkflow = require('./src/workflows/tokenization');
+const {
+  MemoryWorkflowStore,
+  FileWorkflowStore,
+} = require('./src/workflows/store');
+const errors = require('./src/errors');
+const {
+  resolveConfig,
+  clientSections,
+  loadConfig,
+  validateConfig,
+} = require('./src/config');
 
-export class CoreRegistryClient {
-  constructor(config, logger) {
-    this.retirementExplorerApi = new RetirementExplorerApi(config, logger);
-    this.tokenDriver = new TokenDriver(config, logger);
-    this.registry = new Registry(config, logger);
+class CoreRegistryClient {
+  /**
+   * @param {Object} clientConfig - The client config, missing sections and settings fall back to the defaults
+   * @param {Object} logger - The logger
+   * @param {Object} [options] - Client options.
+   * @param {HttpTransport} [options.transport] - A transport shared by all API clients, defaults to an HttpTransport built from `options`
+   * @param {WalletRpcClient} [options.wallet] - The wallet RPC client, defaults to one built from `config`
+   * @param {DataLayerRpcClient} [options.datalayer] - The DataLayer RPC client, defaults to one built from `config`
+   * @param {number} [options.pollInterval] - Overrides the delays of every wait, e.g. to wait on a local mock
+   * @param {boolean} [options.dryRun=false] - Plan registry writes instead of sending them
+   * @param {boolean} [options.validateResponses=true] - Check unit and project records returned by CADT against their schemas
+   * @param {RetirementJournal} [options.retirementJournal] - Records retirements by coin id so none is made twice, defaults to a FileRetirementJournal
+   * @param {WorkflowStore} [options.workflowStore] - Keeps the state of the tokenize and detokenize workflows so they can be resumed, defaults to a MemoryWorkflowStore
+   * @throws {ConfigError} If a section read by the clients is invalid, listing every problem
+   */
+  constructor(clientConfig, logger, options = {}) {
+    const config = resolveConfig(clientConfig, clientSections.client);
+    const transport =
+      options.transport || new HttpTransport(config, logger, options);
+    const wallet =
+      options.wallet || new WalletRpcClient(config, logger, options);
+    const datalayer =
+      options.datalayer || new DataLayerRpcClient(config, logger);
+    const clientOptions = { ...options, transport, wallet, datalayer };
+
+    this.transport = transport;
+    this.wallet = wallet;
+    this.datalayer = datalayer;
+    this.retirementExplorerApi = new RetirementExplorerApi(
+      config,
+      logger,
+      clientOptions
+    );
+    this.tokenDriver = new TokenDriver(config, logger, clientOptions);
+    this.registry = new Registry(config, logger, clientOptions);
+    this.retirementSyncer = new RetirementSyncer(
+      this.registry,
+      this.retirementExplorerApi,
+      logger
+    );
+    this.tokenization = new TokenizationWorkflow(
+      this.registry,
+      this.tokenDriver,
+      logger,
+      { store: options.workflowStore }
+    );
+    this.detokenization = new DetokenizationWorkflow(
+      this.registry,
+      this.tokenDriver,
+      logger,
+      { store: options.workflowStore }
+    );
   }
-}
\ No newline at end of file
+
+  /**
+   * Tokenizes a unit: creates the token from the unit and its project, waits
+   * for the minting transaction and links the unit to the new asset id in the
+   * warehouse. Calling it again for the same unit after a failure resumes
+   * where it stopped.
+   *
+   * @param {Object} options - See TokenizationWorkflow#run
+   * @returns {Promise<WorkflowState>} The completed workflow, with the `assetId` and `transactionId` as its result
+   * @throws {WorkflowError} If a stage fails, as TokenSubmissionError, TokenConfirmationError or TokenRegistrationError for those stages
+   * @throws {TokenSubmissionUncertainError} If an earlier run may have minted the token, see TokenizationWorkflow#run
+   */
+  tokenizeUnit = (options) => {
+    return this.tokenization.run(options);
+  };
+
+  /**
+   * Detokenizes the units of a detokenization request: checks the amount
+   * against the asset's units, updates or splits them in the registry,
+   * confirms with the token driver and waits for the transaction and the
+   * registry to sync. Every step is recorded, so calling it again with the
+   * same string after a failure resumes where it stopped.
+   *
+   * @param {string} detokString - The detokenization request string
+   * @param {Object} [options] - The WaitOptions `signal`, `timeout`, `deadline` and `onProgress`.
+   * @returns {Promise<WorkflowState>} The completed workflow, see DetokenizationWorkflow#run
+   * @throws {WorkflowError} If a step fails, with the failure as its cause
+   */
+  detokenize = (detokString, options = {}) => {
+    return this.detokenization.run(detokString, options);
+  };
+
+  /**
+   * Checks every upstream service the client depends on, in parallel. CADT
+   * must be reachable, accept the API key and have a home org; the token
+   * driver and explorer must be reachable and accept their API keys; the
+   * wallet must be synced; and the home org's registry and organization
+   * roots must be confirmed on chain and synced into CADT. A failed check
+   * never throws, its reason is reported instead.
+   *
+   * @param {Object} [options] - Function options.
+   * @param {number} [options.timeout=10000] - Milliseconds to wait for each HTTP service
+   * @returns {Promise<Object>} The report: `healthy` if every dependency is, `checkedAt` and the DependencyHealth of `cadt`, `tokenDriver`, `retirementExplorer`, `wallet` and `datalayer`
+   */
+  healthCheck = async (options = {}) => {
+    const checkedAt = new Date().toISOString();
+    const [cadt, tokenDriver, retirementExplorer, wallet] = await Promise.all([
+      this.registry.checkHealth(options),
+      this.tokenDriver.checkHealth(options),
+      this.retirementExplorerApi.checkHealth(options),
+      this.wallet.checkHealth(),
+    ]);
+    const datalayer = await this.registry.checkDataLayerHealth(
+      cadt.details?.homeOrg
+    );
+    const dependencies = {
+      cadt,
+      tokenDriver,
+      retirementExplorer,
+      wallet,
+      datalayer,
+    };
+
+    return {
+      healthy: Object.values(dependencies).every(({ healthy }) => healthy),
+      checkedAt,
+      dependencies,
+    };
+  };
+}
+
+module.exports = {
+  CoreRegistryClient,
+  HttpTransport,
+  WalletRpcClient,
+  DataLayerRpcClient,
+  CadtQuery,
+  serialNumber,
+  schemas,
+  OrgMetadataStore,
+  MemoryWorkflowStore,
+  FileWorkflowStore,
+  MemoryRetirementJournal,
+  FileRetirementJournal,
+  loadConfig,
+  validateConfig,
+  ...errors,
+};
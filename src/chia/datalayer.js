@@ -0,0 +1,60 @@
+const { callChiaRpc } = require("./rpc");
+const { resolveConfig, clientSections } = require("../config");
+
+/**
+ * Client for the Chia DataLayer RPC, configured from the CHIA section of the
+ * same config object that is passed to CoreRegistryClient.
+ */
+class DataLayerRpcClient {
+  /**
+   * @param {Object} config - The client config
+   * @param {Object} logger - The logger
+   * @throws {ConfigError} If the CHIA section is invalid
+   */
+  constructor(config, logger) {
+    this.config = resolveConfig(config, clientSections.datalayer);
+    this.logger = logger;
+  }
+
+  /**
+   * Calls a DataLayer RPC endpoint.
+   *
+   * @param {string} endpoint - The RPC endpoint, e.g. "get_root"
+   * @param {Object} [params={}] - The RPC parameters
+   * @param {Object} [options] - Function options.
+   * @param {AbortSignal} [options.signal] - Aborts the request in flight
+   * @returns {Promise<Object>} The RPC response body
+   * @throws {CoreRegistryApiError} If DataLayer cannot be reached or the RPC is not successful
+   * @throws {WaitAbortedError} If the signal is aborted
+   */
+  rpc = (endpoint, params = {}, options = {}) => {
+    return callChiaRpc(this.config.CHIA, {
+      host: this.config.CHIA.DATALAYER_HOST,
+      endpoint,
+      params,
+      service: "datalayer",
+      name: "DataLayer",
+      logger: this.logger,
+      signal: options.signal,
+    });
+  };
+
+  /**
+   * Gets the current root of a store.
+   *
+   * @param {string} storeId - The store id
+   * @param {Object} [options] - Function options.
+   * @param {AbortSignal} [options.signal] - Aborts the request in flight
+   * @returns {Promise<Object>} The root with `hash`, `confirmed` and `timestamp`
+   */
+  getRoot = async (storeId, options = {}) => {
+    const { hash, confirmed, timestamp } = await this.rpc(
+      "get_root",
+      { id: storeId },
+      { signal: options.signal }
+    );
+    return { hash, confirmed, timestamp };
+  };
+}
+
+module.exports = DataLayerRpcClient;
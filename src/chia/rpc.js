@@ -1,29 +1,34 @@
 const os = require("os");
 const path = require("path");
 const fs = require("fs");
+const https = require("https");
+const superagent = require("superagent");
 const { getChiaRoot } = require("chia-root-resolver");
-const { logger } = require("../logger");
-const { CONFIG } = require("../config");
+const {
+  CoreRegistryApiError,
+  WaitAbortedError,
+  toApiError,
+} = require("../errors");
 
 /**
  * Get base options for request.
  *
+ * @param {Object} [chiaConfig={}] - The CHIA section of the client config
  * @returns {object} Base options object containing method, cert, key, and timeout
  */
-const getBaseRpcOptions = () => {
+const getBaseRpcOptions = (chiaConfig = {}) => {
   const chiaRoot = getChiaRoot();
   let cert, key;
 
   // Check if certificates and key are provided in environment variables
   if (process.env.CHIA_CERT_BASE64 && process.env.CHIA_KEY_BASE64) {
-    logger.info(`Using cert and key from environment variables.`);
     cert = Buffer.from(process.env.CHIA_CERT_BASE64, "base64").toString(
       "ascii"
     );
     key = Buffer.from(process.env.CHIA_KEY_BASE64, "base64").toString("ascii");
   } else {
     let certificateFolderPath =
-      CONFIG().GENERAL?.CERTIFICATE_FOLDER_PATH || `${chiaRoot}/config/ssl`;
+      chiaConfig.CERTIFICATE_FOLDER_PATH || `${chiaRoot}/config/ssl`;
 
     // Replace "~" with home directory if it starts the path
     if (certificateFolderPath.startsWith("~")) {
@@ -54,6 +59,97 @@ const getBaseRpcOptions = () => {
   };
 };
 
+/**
+ * Calls a Chia RPC endpoint with the client certificates from the CHIA
+ * config. Hosts using plain http, such as a local mock, are called without
+ * certificates.
+ *
+ * @param {Object} chiaConfig - The CHIA section of the client config
+ * @param {Object} request - The RPC request.
+ * @param {string} request.host - The RPC host, e.g. CHIA.WALLET_HOST
+ * @param {string} request.endpoint - The RPC endpoint, e.g. "get_sync_status"
+ * @param {Object} [request.params={}] - The RPC parameters
+ * @param {string} request.service - The service name used in errors, e.g. "wallet"
+ * @param {string} request.name - The RPC server name used in error messages, e.g. "Wallet"
+ * @param {Object} [request.logger] - The logger
+ * @param {AbortSignal} [request.signal] - Aborts the request in flight
+ * @returns {Promise<Object>} The RPC response body
+ * @throws {CoreRegistryApiError} If the RPC server cannot be reached or the RPC is not successful
+ * @throws {WaitAbortedError} If the signal is aborted
+ */
+const callChiaRpc = async (
+  chiaConfig,
+  { host, endpoint, params = {}, service, name, logger, signal }
+) => {
+  const url = `${host}/${endpoint}`;
+
+  let data;
+
+  try {
+    if (signal?.aborted) {
+      throw signal.reason;
+    }
+
+    logger?.debug(`POST ${url}`);
+
+    let req;
+    if (url.startsWith("http://")) {
+      req = superagent.post(url).send(params).timeout(300000);
+    } else {
+      const { cert, key, timeout } = getBaseRpcOptions(chiaConfig);
+      req = superagent
+        .post(url)
+        .send(params)
+        .key(key)
+        .cert(cert)
+        .timeout(timeout)
+        .agent(
+          new https.Agent({
+            rejectUnauthorized: !chiaConfig.ALLOW_SELF_SIGNED_CERTIFICATES,
+          })
+        );
+    }
+
+    // A block body, the request is thenable and EventTarget would await it
+    const abort = () => {
+      req.abort();
+    };
+    signal?.addEventListener("abort", abort, { once: true });
+    try {
+      const response = await req;
+      data = JSON.parse(response.text);
+    } finally {
+      signal?.removeEventListener("abort", abort);
+    }
+  } catch (error) {
+    if (signal?.aborted) {
+      throw new WaitAbortedError(`${name} RPC ${endpoint} was aborted`, {
+        service,
+        method: "POST",
+        url,
+        cause: signal.reason,
+      });
+    }
+
+    throw toApiError(error, {
+      service,
+      method: "POST",
+      url,
+      message: `${name} RPC ${endpoint} failed`,
+    });
+  }
+
+  if (!data.success) {
+    throw new CoreRegistryApiError(
+      `${name} RPC ${endpoint} failed: ${data.error}`,
+      { service, method: "POST", url, responseBody: data }
+    );
+  }
+
+  return data;
+};
+
 module.exports = {
   getBaseRpcOptions,
+  callChiaRpc,
 };
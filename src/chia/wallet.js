@@ -1,93 +1,258 @@
-const superagent = require("superagent");
-const https = require("https");
-const { getBaseRpcOptions } = require("./rpc");
-const { CONFIG } = require("../config");
-const { logger } = require("../logger");
-
-const { WALLET_HOST, ALLOW_SELF_SIGNED_CERTIFICATES } = CONFIG().CHIA;
-
-const walletIsSynced = async () => {
-  try {
-    const { cert, key, timeout } = getBaseRpcOptions();
-
-    logger.debug(`POST ${WALLET_HOST}/get_sync_status`);
-    const response = await superagent
-      .post(`${WALLET_HOST}/get_sync_status`)
-      .send({})
-      .key(key)
-      .cert(cert)
-      .timeout(timeout)
-      .agent(
-        new https.Agent({ rejectUnauthorized: !ALLOW_SELF_SIGNED_CERTIFICATES })
-      );
+const { callChiaRpc } = require("./rpc");
+const { createWait, checkDependency } = require("../utils");
+const { resolveConfig, clientSections } = require("../config");
+
+/**
+ * Client for the Chia wallet RPC, configured from the CHIA section of the
+ * same config object that is passed to CoreRegistryClient.
+ */
+class WalletRpcClient {
+  /**
+   * @param {Object} config - The client config
+   * @param {Object} logger - The logger
+   * @param {Object} [options] - Client options.
+   * @param {number} [options.pollInterval] - Overrides the delays of every wait, e.g. to wait on a local mock
+   * @throws {ConfigError} If the CHIA section is invalid
+   */
+  constructor(config, logger, options = {}) {
+    this.config = resolveConfig(config, clientSections.wallet);
+    this.logger = logger;
+    this.pollInterval = options.pollInterval;
+  }
+
+  /**
+   * Gets the wallet id used when a method is called without one.
+   *
+   * @returns {number} The default wallet id
+   */
+  getDefaultWalletId = () => {
+    return this.config.CHIA.DEFAULT_WALLET_ID ?? 1;
+  };
+
+  /**
+   * Calls a wallet RPC endpoint.
+   *
+   * @param {string} endpoint - The RPC endpoint, e.g. "get_sync_status"
+   * @param {Object} [params={}] - The RPC parameters
+   * @param {Object} [options] - Function options.
+   * @param {AbortSignal} [options.signal] - Aborts the request in flight
+   * @returns {Promise<Object>} The RPC response body
+   * @throws {CoreRegistryApiError} If the wallet cannot be reached or the RPC is not successful
+   * @throws {WaitAbortedError} If the signal is aborted
+   */
+  rpc = (endpoint, params = {}, options = {}) => {
+    return callChiaRpc(this.config.CHIA, {
+      host: this.config.CHIA.WALLET_HOST,
+      endpoint,
+      params,
+      service: "wallet",
+      name: "Wallet",
+      logger: this.logger,
+      signal: options.signal,
+    });
+  };
+
+  /**
+   * Gets the sync status of the wallet.
+   *
+   * @returns {Promise<Object>} The sync status with `synced`, `syncing` and `genesis_challenge_initialized`
+   */
+  getSyncStatus = async () => {
+    const { synced, syncing, genesis_challenge_initialized } = await this.rpc(
+      "get_sync_status"
+    );
+    return { synced, syncing, genesis_challenge_initialized };
+  };
 
-    const data = JSON.parse(response.text);
+  /**
+   * Checks that the wallet is reachable and synced.
+   *
+   * @returns {Promise<DependencyHealth>} The result of the check, with the sync status as details
+   */
+  checkHealth = () => {
+    return checkDependency(async () => {
+      const status = await this.getSyncStatus();
 
-    if (data.success) {
-      return data.synced;
+      if (status.synced) {
+        return { healthy: true, details: status };
+      }
+
+      return {
+        healthy: false,
+        reason: status.syncing ? "Wallet is syncing" : "Wallet is not synced",
+        details: status,
+      };
+    });
+  };
+
+  /**
+   * Checks if the wallet is synced.
+   *
+   * @returns {Promise<boolean>} True if the wallet is reachable and synced
+   */
+  walletIsSynced = async () => {
+    try {
+      const { synced } = await this.getSyncStatus();
+      return Boolean(synced);
+    } catch (error) {
+      return false;
     }
+  };
 
-    return false;
-  } catch (error) {
-    return false;
-  }
-};
+  /**
+   * Checks if the wallet is available.
+   *
+   * @returns {Promise<boolean>} True if the wallet is reachable and synced
+   */
+  walletIsAvailable = async () => {
+    return await this.walletIsSynced();
+  };
 
-const walletIsAvailable = async () => {
-  return await walletIsSynced();
-};
+  /**
+   * Gets the wallets of the logged in key.
+   *
+   * @param {Object} [options] - Function options.
+   * @param {number} [options.type] - Only return wallets of this wallet type
+   * @returns {Promise<Array<Object>>} The wallets
+   */
+  getWallets = async (options = {}) => {
+    const params = {};
+    if (options.type !== undefined) {
+      params.type = options.type;
+    }
 
-const waitForAllTransactionsToConfirm = async () => {
-  if (process.env.NODE_ENV === "test") {
-    return true;
-  }
-  
-  await new Promise((resolve) => setTimeout(() => resolve(), 5000));
-  const unconfirmedTransactions = await hasUnconfirmedTransactions();
+    const { wallets } = await this.rpc("get_wallets", params);
+    return wallets;
+  };
 
-  if (unconfirmedTransactions) {
-    await new Promise((resolve) => setTimeout(() => resolve(), 15000));
-    return waitForAllTransactionsToConfirm();
-  }
+  /**
+   * Gets the balance of a wallet.
+   *
+   * @param {number} [walletId] - The wallet id, defaults to CHIA.DEFAULT_WALLET_ID
+   * @returns {Promise<Object>} The wallet balance
+   */
+  getWalletBalance = async (walletId = this.getDefaultWalletId()) => {
+    const { wallet_balance } = await this.rpc("get_wallet_balance", {
+      wallet_id: walletId,
+    });
+    return wallet_balance;
+  };
 
-  return true;
-};
-
-const hasUnconfirmedTransactions = async (options) => {
-  const { cert, key, timeout } = getBaseRpcOptions();
-
-  logger.debug(`POST ${WALLET_HOST}/get_transactions`);
-  const response = await superagent
-    .post(`${WALLET_HOST}/get_transactions`)
-    .send({
-      wallet_id: options?.walletId || 1,
-      sort_key: "RELEVANCE",
-    })
-    .key(key)
-    .cert(cert)
-    .timeout(timeout)
-    .agent(new https.Agent({ rejectUnauthorized: false }));
-
-  const data = JSON.parse(response.text);
-
-  if (data.success) {
-    const unconfirmedTransactions = data.transactions.some(
-      (transaction) => !transaction.confirmed
+  /**
+   * Gets a page of transactions of a wallet.
+   *
+   * @param {Object} [options] - Function options.
+   * @param {number} [options.walletId] - The wallet id, defaults to CHIA.DEFAULT_WALLET_ID
+   * @param {number} [options.start=0] - Index of the first transaction to return
+   * @param {number} [options.end=50] - Index after the last transaction to return
+   * @param {string} [options.sortKey="RELEVANCE"] - The sort key
+   * @param {boolean} [options.reverse=false] - Reverse the sort order
+   * @param {AbortSignal} [options.signal] - Aborts the request in flight
+   * @returns {Promise<Array<Object>>} The transactions
+   */
+  getTransactions = async (options = {}) => {
+    const { transactions } = await this.rpc(
+      "get_transactions",
+      {
+        wallet_id: options.walletId ?? this.getDefaultWalletId(),
+        start: options.start ?? 0,
+        end: options.end ?? 50,
+        sort_key: options.sortKey ?? "RELEVANCE",
+        reverse: options.reverse ?? false,
+      },
+      { signal: options.signal }
     );
+    return transactions;
+  };
+
+  /**
+   * Gets a single transaction.
+   *
+   * @param {string} transactionId - The transaction id
+   * @returns {Promise<Object>} The transaction
+   */
+  getTransaction = async (transactionId) => {
+    const { transaction } = await this.rpc("get_transaction", {
+      transaction_id: transactionId,
+    });
+    return transaction;
+  };
+
+  /**
+   * Checks if a wallet has transactions that are not confirmed yet, paging
+   * through all of its transactions.
+   *
+   * @param {Object} [options] - Function options.
+   * @param {number} [options.walletId] - The wallet id, defaults to CHIA.DEFAULT_WALLET_ID
+   * @param {AbortSignal} [options.signal] - Aborts the request in flight
+   * @returns {Promise<boolean>} True if any transaction is unconfirmed
+   */
+  hasUnconfirmedTransactions = async (options = {}) => {
+    const pageSize = 50;
+    let unconfirmedTransactions = false;
+
+    // Pages through every transaction, a pending one can sort past the first page
+    for (let start = 0; !unconfirmedTransactions; start += pageSize) {
+      const transactions = await this.getTransactions({
+        walletId: options.walletId,
+        start,
+        end: start + pageSize,
+        signal: options.signal,
+      });
+
+      unconfirmedTransactions = transactions.some(
+        (transaction) => !transaction.confirmed
+      );
+
+      if (transactions.length < pageSize) {
+        break;
+      }
+    }
 
     if (unconfirmedTransactions) {
-      console.log("Wallet has pending transactions");
+      this.logger.debug("Wallet has pending transactions");
     }
 
     return unconfirmedTransactions;
-  }
+  };
+
+  /**
+   * Waits until a wallet has no unconfirmed transactions.
+   *
+   * @param {Object} [options] - Function options, plus the WaitOptions `signal`, `timeout`, `deadline` and `onProgress`.
+   * @param {number} [options.walletId] - The wallet id, defaults to CHIA.DEFAULT_WALLET_ID
+   * @param {number} [options.interval=15000] - Milliseconds between checks, defaults to the pollInterval option if set
+   * @returns {Promise<boolean>} True once all transactions are confirmed
+   * @throws {SyncTimeoutError} If the transactions are not confirmed in time
+   * @throws {WaitAbortedError} If the wait is aborted
+   */
+  waitForAllTransactionsToConfirm = async (options = {}) => {
+    const interval = options.interval ?? this.pollInterval ?? 15000;
+    const message = "Wallet transactions were not confirmed";
+    const wait = createWait("wallet-transactions", options, {
+      service: "wallet",
+    });
+
+    // Give freshly pushed transactions time to show up in the wallet
+    await wait.sleep(this.pollInterval ?? 5000, message);
 
-  return false;
-};
+    while (true) {
+      wait.nextAttempt();
+
+      if (
+        !(await this.hasUnconfirmedTransactions({
+          walletId: options.walletId,
+          signal: wait.signal,
+        }))
+      ) {
+        wait.progress("confirmed");
+        return true;
+      }
+
+      wait.progress("unconfirmed-transactions");
+      await wait.sleep(interval, message);
+    }
+  };
+}
 
-module.exports = {
-  walletIsSynced,
-  walletIsAvailable,
-  waitForAllTransactionsToConfirm,
-  hasUnconfirmedTransactions,
-};
+module.exports = WalletRpcClient;
@@ -0,0 +1,785 @@
+const path = require("path");
+const { parseArgs } = require("util");
+const {
+  loadConfig,
+  clientSections,
+  getDefaultConfigPath,
+} = require("../config");
+const constants = require("../constants");
+const { FileWorkflowStore } = require("../workflows/store");
+const { ValidationError } = require("../errors");
+
+const logLevels = ["trace", "debug", "info", "task", "warn", "error", "fatal"];
+
+const globalOptions = {
+  config: { type: "string" },
+  json: { type: "boolean", default: false },
+  "dry-run": { type: "boolean", default: false },
+  verbose: { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+/**
+ * Creates a logger that writes warnings and errors, or everything when
+ * verbose, to stderr so stdout only carries command output.
+ *
+ * @param {Object} stderr - The stream to write to
+ * @param {boolean} verbose - Also write debug and info messages
+ * @returns {Object} The logger
+ */
+const createLogger = (stderr, verbose) => {
+  const minimum = logLevels.indexOf(verbose ? "debug" : "warn");
+
+  return Object.fromEntries(
+    logLevels.map((level, index) => [
+      level,
+      (message) => {
+        if (index >= minimum) {
+          stderr.write(`[${level}] ${message}\n`);
+        }
+      },
+    ])
+  );
+};
+
+/**
+ * Formats records as an aligned text table.
+ *
+ * @param {Array<Object>} records - The records
+ * @param {Array<string>} columns - The fields to show
+ * @returns {string} The table
+ */
+const formatTable = (records, columns) => {
+  if (!records.length) {
+    return "No records found";
+  }
+
+  const rows = [
+    columns,
+    ...records.map((record) =>
+      columns.map((column) => String(record[column] ?? ""))
+    ),
+  ];
+  const widths = columns.map((_, index) =>
+    Math.max(...rows.map((row) => row[index].length))
+  );
+
+  return rows
+    .map((row) =>
+      row
+        .map((cell, index) => cell.padEnd(widths[index]))
+        .join("  ")
+        .trimEnd()
+    )
+    .join("\n");
+};
+
+/**
+ * Formats the fields of a single record, one per line.
+ *
+ * @param {Object} record - The record
+ * @param {Array<string>} fields - The fields to show
+ * @returns {string} The fields and their values
+ */
+const formatFields = (record, fields) => {
+  const width = Math.max(...fields.map((field) => field.length));
+
+  return fields
+    .map((field) => `${field.padEnd(width)}  ${record[field] ?? ""}`.trimEnd())
+    .join("\n");
+};
+
+/**
+ * Describes a dry run plan.
+ *
+ * @param {Object} plan - The plan returned by a dry run
+ * @returns {string} The description
+ */
+const formatPlan = (plan) => {
+  return [
+    `Dry run, would send ${plan.method} ${plan.url}`,
+    JSON.stringify(plan.payload, null, 2),
+  ].join("\n");
+};
+
+/**
+ * Gets a required option or positional argument.
+ *
+ * @param {*} value - The value
+ * @param {string} name - The name shown in the error
+ * @returns {*} The value
+ * @throws {ValidationError} If the value is missing
+ */
+const required = (value, name) => {
+  if (value === undefined || value === "") {
+    throw new ValidationError(`Missing ${name}`);
+  }
+  return value;
+};
+
+/**
+ * Parses a whole number argument.
+ *
+ * @param {string} value - The argument
+ * @param {string} name - The name shown in the error
+ * @returns {number} The number
+ * @throws {ValidationError} If the argument is not a whole number
+ */
+const parseWholeNumber = (value, name) => {
+  const number = Number(required(value, name));
+  if (!Number.isSafeInteger(number) || number < 0) {
+    throw new ValidationError(`${name} must be a whole number: ${value}`);
+  }
+  return number;
+};
+
+/**
+ * Parses an optional whole number argument.
+ *
+ * @param {string} [value] - The argument
+ * @param {string} name - The name shown in the error
+ * @returns {number|undefined} The number, or undefined if the argument is missing
+ * @throws {ValidationError} If the argument is not a whole number
+ */
+const parseOptionalWholeNumber = (value, name) => {
+  return value === undefined ? undefined : parseWholeNumber(value, name);
+};
+
+const unitColumns = [
+  "warehouseUnitId",
+  "serialNumberBlock",
+  "unitCount",
+  "unitStatus",
+  "unitOwner",
+];
+
+/**
+ * The subcommands, keyed by their words. Each command gets the client, the
+ * parsed arguments and a context with the abort signal of the process, and
+ * returns a result that is printed as JSON or through `format`.
+ */
+const commands = {
+  "units list": {
+    usage: "units list --asset <assetId> [--status <unitStatus>]",
+    summary: "List the unit blocks of a tokenized asset",
+    options: { asset: { type: "string" }, status: { type: "string" } },
+    run: async (client, { values }) => {
+      const assetId = required(values.asset, "--asset");
+      const units = await client.registry
+        .units()
+        .where("marketplaceIdentifier", "eq", assetId)
+        .all();
+
+      return values.status
+        ? units.filter((unit) => unit.unitStatus === values.status)
+        : units;
+    },
+    format: (units) => formatTable(units, unitColumns),
+  },
+
+  "unit details": {
+    usage: "unit details <warehouseUnitId|assetId>",
+    summary: "Show a unit with its issuance, labels, project and organization",
+    options: {},
+    run: (client, { positionals }) =>
+      client.registry.getUnitDetails(
+        required(positionals[0], "warehouseUnitId or assetId")
+      ),
+    format: ({ unit, units, issuance, labels, project, org }) =>
+      formatFields(
+        {
+          ...unit,
+          unitBlocks: units.length,
+          issuance: issuance && `${issuance.startDate} to ${issuance.endDate}`,
+          labels: labels.map((label) => label.label).join(", "),
+          projectId: project?.projectId,
+          projectName: project?.projectName,
+          orgName: org?.name,
+        },
+        [
+          ...unitColumns,
+          "marketplaceIdentifier",
+          "vintageYear",
+          "unitBlocks",
+          "issuance",
+          "labels",
+          "projectId",
+          "projectName",
+          "orgName",
+        ]
+      ),
+  },
+
+  "unit retire": {
+    usage:
+      "unit retire <warehouseUnitId> --beneficiary-name <name> --beneficiary-address <address>",
+    summary: "Stage the retirement of a whole unit block",
+    options: {
+      "beneficiary-name": { type: "string" },
+      "beneficiary-address": { type: "string" },
+    },
+    run: async (client, { values, positionals }, { dryRun }) => {
+      const unit = await client.registry.getUnit(
+        required(positionals[0], "warehouseUnitId")
+      );
+
+      return client.registry.retireUnit(
+        unit,
+        values["beneficiary-name"],
+        values["beneficiary-address"],
+        { dryRun }
+      );
+    },
+    format: (result) =>
+      result?.dryRun
+        ? formatPlan(result)
+        : "Retirement staged, run `core-registry staging commit` to commit it",
+  },
+
+  "unit split": {
+    usage:
+      "unit split <warehouseUnitId> --amount <units> [--beneficiary-name <name>] [--beneficiary-address <address>]",
+    summary: "Stage a split that retires the first <units> of a unit block",
+    options: {
+      amount: { type: "string" },
+      "beneficiary-name": { type: "string" },
+      "beneficiary-address": { type: "string" },
+    },
+    run: async (client, { values, positionals }, { dryRun }) => {
+      const unit = await client.registry.getUnit(
+        required(positionals[0], "warehouseUnitId")
+      );
+
+      return client.registry.splitUnit({
+        unit,
+        amount: parseWholeNumber(values.amount, "--amount"),
+        beneficiaryName: values["beneficiary-name"],
+        beneficiaryAddress: values["beneficiary-address"],
+        dryRun,
+      });
+    },
+    format: (result) =>
+      result?.dryRun
+        ? formatPlan(result)
+        : "Split staged, run `core-registry staging commit` to commit it",
+  },
+
+  "unit tokenize": {
+    usage:
+      "unit tokenize <warehouseUnitId> --wallet-address <address> [--timeout <ms>] [--asset-id <assetId> --transaction-id <id> | --resubmit]",
+    summary:
+      "Tokenize a unit to a wallet, resuming an earlier failed run for the unit. After an uncertain submission, pass the token found or --resubmit if none was minted",
+    options: {
+      "wallet-address": { type: "string" },
+      timeout: { type: "string" },
+      "asset-id": { type: "string" },
+      "transaction-id": { type: "string" },
+      resubmit: { type: "boolean" },
+    },
+    run: (client, { values, positionals }, { signal, onProgress }) =>
+      client.tokenizeUnit({
+        unit: required(positionals[0], "warehouseUnitId"),
+        walletAddress: required(values["wallet-address"], "--wallet-address"),
+        submitted:
+          values["asset-id"] || values["transaction-id"]
+            ? {
+                assetId: values["asset-id"],
+                transactionId: values["transaction-id"],
+              }
+            : undefined,
+        resubmit: values.resubmit,
+        signal,
+        onProgress,
+        timeout:
+          values.timeout === undefined
+            ? undefined
+            : parseWholeNumber(values.timeout, "--timeout"),
+      }),
+    format: ({ result }) =>
+      `Tokenized ${result.warehouseUnitId} as asset ${result.assetId} in transaction ${result.transactionId}`,
+  },
+
+  "staging list": {
+    usage: "staging list",
+    summary: "List the staged changes",
+    options: {},
+    run: (client) => client.registry.getStagedChanges(),
+    format: (changes) =>
+      formatTable(
+        changes.map((change) => ({
+          ...change,
+          records: change.records.length,
+        })),
+        ["uuid", "table", "action", "committed", "failedCommit", "records"]
+      ),
+  },
+
+  "staging commit": {
+    usage: "staging commit [--timeout <ms>]",
+    summary: "Commit the staged changes and wait for them to confirm",
+    options: { timeout: { type: "string" } },
+    run: (client, { values }, { dryRun, signal, onProgress }) =>
+      client.registry.commitStagingData({
+        dryRun,
+        signal,
+        onProgress,
+        timeout:
+          values.timeout === undefined
+            ? undefined
+            : parseWholeNumber(values.timeout, "--timeout"),
+      }),
+    format: (result) =>
+      result?.dryRun ? formatPlan(result) : "Staging committed and confirmed",
+  },
+
+  "cursor get": {
+    usage: "cursor get [--cursor <name>]",
+    summary:
+      "Show the last processed block height of the retirement, tokenization or detokenization cursor",
+    options: { cursor: { type: "string" } },
+    run: async (client, { values }) => ({
+      cursor: values.cursor || "retirement",
+      lastProcessedHeight: await client.registry.getLastProcessedHeight({
+        cursor: values.cursor,
+      }),
+    }),
+    format: (result) => String(result.lastProcessedHeight),
+  },
+
+  "cursor set": {
+    usage: "cursor set <height> [--cursor <name>] [--expected <height>]",
+    summary: "Move the last processed block height of a cursor",
+    options: { cursor: { type: "string" }, expected: { type: "string" } },
+    run: (client, { values, positionals }, { dryRun, signal, onProgress }) =>
+      client.registry.setLastProcessedHeight(
+        parseWholeNumber(positionals[0], "height"),
+        {
+          cursor: values.cursor,
+          expected: parseOptionalWholeNumber(values.expected, "--expected"),
+          dryRun,
+          signal,
+          onProgress,
+        }
+      ),
+    format: (result) =>
+      result?.dryRun
+        ? `Dry run, would move the cursor from ${result.before ?? 0} to ${result.after}`
+        : "Cursor updated and confirmed",
+  },
+
+  "orgs list": {
+    usage: "orgs list",
+    summary: "List the organizations CADT knows and their sync status",
+    options: {},
+    run: (client) => client.registry.listOrganizations(),
+    format: (orgs) =>
+      formatTable(orgs, [
+        "orgUid",
+        "name",
+        "isHome",
+        "subscribed",
+        "syncStatus",
+        "syncRemaining",
+      ]),
+  },
+
+  "orgs create": {
+    usage: "orgs create --name <name> [--icon <url>]",
+    summary: "Create the home organization",
+    options: { name: { type: "string" }, icon: { type: "string" } },
+    run: (client, { values }, { dryRun }) =>
+      client.registry.createHomeOrg(
+        { name: required(values.name, "--name"), icon: values.icon },
+        { dryRun }
+      ),
+    format: (result) =>
+      result?.dryRun
+        ? formatPlan(result)
+        : "Home organization is being created, check `core-registry orgs list` for its progress",
+  },
+
+  "orgs import": {
+    usage: "orgs import <orgUid>",
+    summary: "Import an organization and subscribe to it",
+    options: {},
+    run: (client, { positionals }, { dryRun }) =>
+      client.registry.importOrganization(required(positionals[0], "orgUid"), {
+        dryRun,
+      }),
+    format: (result) =>
+      result?.dryRun ? formatPlan(result) : result?.message || "Done",
+  },
+
+  "orgs subscribe": {
+    usage: "orgs subscribe <orgUid>",
+    summary: "Subscribe again to an imported organization",
+    options: {},
+    run: (client, { positionals }, { dryRun }) =>
+      client.registry.subscribeOrganization(
+        required(positionals[0], "orgUid"),
+        {
+          dryRun,
+        }
+      ),
+    format: (result) =>
+      result?.dryRun ? formatPlan(result) : result?.message || "Done",
+  },
+
+  "orgs unsubscribe": {
+    usage: "orgs unsubscribe <orgUid>",
+    summary: "Stop syncing an organization",
+    options: {},
+    run: (client, { positionals }, { dryRun }) =>
+      client.registry.unsubscribeOrganization(
+        required(positionals[0], "orgUid"),
+        {
+          dryRun,
+        }
+      ),
+    format: (result) =>
+      result?.dryRun ? formatPlan(result) : result?.message || "Done",
+  },
+
+  "orgs resync": {
+    usage: "orgs resync <orgUid>",
+    summary: "Drop and sync again the data of an organization",
+    options: {},
+    run: (client, { positionals }, { dryRun }) =>
+      client.registry.resyncOrganization(required(positionals[0], "orgUid"), {
+        dryRun,
+      }),
+    format: (result) =>
+      result?.dryRun ? formatPlan(result) : result?.message || "Done",
+  },
+
+  "orgs stores": {
+    usage: "orgs stores <orgUid>",
+    summary: "Show the DataLayer store ids of an organization",
+    options: {},
+    run: (client, { positionals }) =>
+      client.registry.getOrganizationStoreIds(
+        required(positionals[0], "orgUid")
+      ),
+    format: (stores) =>
+      formatFields(stores, ["orgUid", "registryId", "fileStoreId"]),
+  },
+
+  "explorer activities": {
+    usage:
+      "explorer activities [--from-height <height>] [--to-height <height>] [--mode <mode>] [--asset <assetId>] [--page <page>] [--limit <limit>]",
+    summary: "List retirement explorer activities in a block height range",
+    options: {
+      "from-height": { type: "string" },
+      "to-height": { type: "string" },
+      mode: { type: "string", multiple: true },
+      asset: { type: "string" },
+      page: { type: "string", default: "1" },
+      limit: { type: "string", default: "100" },
+    },
+    run: (client, { values }) =>
+      client.retirementExplorerApi.getRetirementActivities({
+        page: parseWholeNumber(values.page, "--page"),
+        limit: parseWholeNumber(values.limit, "--limit"),
+        fromHeight: parseOptionalWholeNumber(
+          values["from-height"],
+          "--from-height"
+        ),
+        toHeight: parseOptionalWholeNumber(values["to-height"], "--to-height"),
+        mode: values.mode || Object.values(constants.activityModes),
+        assetId: values.asset,
+      }),
+    format: (activities) =>
+      formatTable(activities, [
+        "height",
+        "mode",
+        "assetId",
+        "amount",
+        "beneficiaryName",
+      ]),
+  },
+
+  "explorer activity": {
+    usage: "explorer activity <coinId> [--mode <mode>]",
+    summary: "Show a single retirement explorer activity",
+    options: { mode: { type: "string" } },
+    run: (client, { values, positionals }) =>
+      client.retirementExplorerApi.getActivity(
+        required(positionals[0], "coinId"),
+        { mode: values.mode }
+      ),
+    format: (activity) =>
+      formatFields(activity, [
+        "coinId",
+        "mode",
+        "height",
+        "timestamp",
+        "assetId",
+        "amount",
+        "beneficiaryName",
+        "beneficiaryAddress",
+      ]),
+  },
+
+  "explorer summary": {
+    usage:
+      "explorer summary [--asset <assetId>] [--from-height <height>] [--to-height <height>]",
+    summary: "Sum the tokenized, detokenized and retired units per token",
+    options: {
+      asset: { type: "string" },
+      "from-height": { type: "string" },
+      "to-height": { type: "string" },
+    },
+    run: (client, { values }) =>
+      client.retirementExplorerApi.getTokenSummaries({
+        assetId: values.asset,
+        fromHeight: parseOptionalWholeNumber(
+          values["from-height"],
+          "--from-height"
+        ),
+        toHeight: parseOptionalWholeNumber(values["to-height"], "--to-height"),
+      }),
+    format: (summaries) =>
+      formatTable(summaries, [
+        "assetId",
+        "tokenized",
+        "detokenized",
+        "retired",
+      ]),
+  },
+
+  "detok parse": {
+    usage: "detok parse <detokString>",
+    summary: "Parse a detokenization request string",
+    options: {},
+    run: (client, { positionals }) =>
+      client.tokenDriver.sendParseDetokRequest(
+        required(positionals[0], "detokString")
+      ),
+    format: (result) => JSON.stringify(result, null, 2),
+  },
+
+  "health check": {
+    usage: "health check [--timeout <ms>]",
+    summary: "Check every upstream service, exits with 1 if any is unhealthy",
+    options: { timeout: { type: "string" } },
+    run: (client, { values }) =>
+      client.healthCheck({
+        timeout:
+          values.timeout === undefined
+            ? undefined
+            : parseWholeNumber(values.timeout, "--timeout"),
+      }),
+    format: (report) =>
+      formatTable(
+        Object.entries(report.dependencies).map(([name, dependency]) => ({
+          name,
+          status: dependency.healthy ? "ok" : "failed",
+          latency: `${dependency.latencyMs}ms`,
+          reason: dependency.reason,
+        })),
+        ["name", "status", "latency", "reason"]
+      ),
+    exitCode: (report) => (report.healthy ? 0 : 1),
+  },
+
+  "detok run": {
+    usage: "detok run <detokString> [--timeout <ms>]",
+    summary:
+      "Detokenize the units of a request, resuming an earlier failed run of it",
+    options: { timeout: { type: "string" } },
+    run: (client, { values, positionals }, { signal, onProgress }) =>
+      client.detokenize(required(positionals[0], "detokString"), {
+        signal,
+        onProgress,
+        timeout:
+          values.timeout === undefined
+            ? undefined
+            : parseWholeNumber(values.timeout, "--timeout"),
+      }),
+    format: ({ result }) =>
+      formatTable(result.units, [
+        "warehouseUnitId",
+        "action",
+        "amount",
+        "serialNumberBlock",
+      ]),
+  },
+
+  "sync wait": {
+    usage: "sync wait [--timeout <ms>]",
+    summary: "Wait until CADT has synced with the latest on-chain roots",
+    options: { timeout: { type: "string" } },
+    run: async (client, { values }, { signal, onProgress }) => {
+      await client.registry.waitForRegistryDataSync({
+        signal,
+        onProgress,
+        timeout:
+          values.timeout === undefined
+            ? undefined
+            : parseWholeNumber(values.timeout, "--timeout"),
+      });
+      return { synced: true };
+    },
+    format: () => "Registry is synced",
+  },
+};
+
+/**
+ * Builds the help text.
+ *
+ * @returns {string} The help text
+ */
+const getHelp = () => {
+  return [
+    "Usage: core-registry <command> [options]",
+    "",
+    "Commands:",
+    ...Object.values(commands).map(
+      ({ usage, summary }) => `  ${usage}\n      ${summary}`
+    ),
+    "",
+    "Options:",
+    "  --config <path>  Config file, defaults to CHIA_ROOT/core-registry/config.yaml",
+    "  --json           Print results as JSON",
+    "  --dry-run        Show the planned registry writes without sending them",
+    "  --verbose        Log requests to stderr",
+    "  -h, --help       Show this help",
+    "",
+    "Settings can be overridden with CORE_REGISTRY_<SECTION>_<KEY> environment",
+    "variables, e.g. CORE_REGISTRY_CADT_HOST.",
+  ].join("\n");
+};
+
+/**
+ * Runs the CLI.
+ *
+ * @param {Array<string>} argv - The arguments, without the node and script paths
+ * @param {Object} [io] - The process streams and environment.
+ * @param {Object} [io.stdout=process.stdout] - Receives command output
+ * @param {Object} [io.stderr=process.stderr] - Receives logs, progress and errors
+ * @param {Object} [io.env=process.env] - The environment variables
+ * @param {AbortSignal} [io.signal] - Cancels waiting commands
+ * @param {Function} [io.createClient] - Builds the client from `(config, logger, options)`
+ * @returns {Promise<number>} The exit code
+ */
+const run = async (argv, io = {}) => {
+  const {
+    stdout = process.stdout,
+    stderr = process.stderr,
+    env = process.env,
+    signal,
+    createClient = (config, logger, options) => {
+      const { CoreRegistryClient } = require("../..");
+      return new CoreRegistryClient(config, logger, options);
+    },
+  } = io;
+
+  const name = argv.slice(0, 2).join(" ");
+  const command = commands[name];
+  let json = argv.includes("--json");
+
+  try {
+    if (!command) {
+      const help = argv.includes("--help") || argv.includes("-h");
+      (help ? stdout : stderr).write(`${getHelp()}\n`);
+      return argv.length === 0 || !help ? 2 : 0;
+    }
+
+    const { values, positionals } = parseArgs({
+      args: argv.slice(2),
+      options: { ...globalOptions, ...command.options },
+      allowPositionals: true,
+    });
+    json = values.json;
+
+    if (values.help) {
+      stdout.write(`${command.usage}\n  ${command.summary}\n`);
+      return 0;
+    }
+
+    const logger = createLogger(stderr, values.verbose);
+    const config = loadConfig({
+      configPath: values.config,
+      env,
+      sections: clientSections.client,
+    });
+    const client = createClient(config, logger, {
+      dryRun: values["dry-run"],
+      // Kept next to the config so a failed workflow resumes on the next run
+      workflowStore: new FileWorkflowStore(
+        path.join(
+          path.dirname(values.config || getDefaultConfigPath()),
+          "workflows"
+        )
+      ),
+    });
+
+    const result = await command.run(
+      client,
+      { values, positionals },
+      {
+        dryRun: values["dry-run"],
+        signal,
+        onProgress: (progress) => {
+          if (!json) {
+            stderr.write(
+              `${progress.wait}: ${progress.status} (attempt ${
+                progress.attempt
+              }, ${Math.round(progress.elapsedMs / 1000)}s)\n`
+            );
+          }
+        },
+      }
+    );
+
+    stdout.write(
+      `${json ? JSON.stringify(result, null, 2) : command.format(result)}\n`
+    );
+    return command.exitCode ? command.exitCode(result) : 0;
+  } catch (error) {
+    if (json) {
+      stderr.write(
+        `${JSON.stringify(
+          {
+            error: {
+              name: error.name,
+              message: error.message,
+              status: error.status,
+              errors: error.errors,
+            },
+          },
+          null,
+          2
+        )}\n`
+      );
+    } else {
+      stderr.write(`Error: ${error.message}\n`);
+    }
+    return 1;
+  }
+};
+
+/**
+ * Runs the CLI for the current process, cancelling waits on SIGINT and SIGTERM.
+ *
+ * @returns {Promise<void>}
+ */
+const main = async () => {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  process.once("SIGINT", abort);
+  process.once("SIGTERM", abort);
+
+  process.exitCode = await run(process.argv.slice(2), {
+    signal: controller.signal,
+  });
+
+  process.removeListener("SIGINT", abort);
+  process.removeListener("SIGTERM", abort);
+};
+
+module.exports = {
+  commands,
+  run,
+  main,
+};
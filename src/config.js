@@ -0,0 +1,343 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const { getChiaRoot } = require("chia-root-resolver");
+const defaultConfig = require("./utils/defaultConfig.json");
+const { ConfigError } = require("./errors");
+
+const envPrefix = "CORE_REGISTRY_";
+
+/**
+ * @typedef {Object} SettingSpec
+ * @property {string} type - One of string, integer, boolean, url or object
+ * @property {boolean} [nullable=false] - Null is allowed, e.g. for an unset API key; an empty string or "null" is read as null
+ * @property {Array<string>} [enum] - The allowed values
+ * @property {number} [min] - The smallest allowed integer
+ * @property {number} [max] - The largest allowed integer
+ * @property {string} description - What the setting does
+ */
+
+const serviceSection = (name) => ({
+  PROTOCOL: {
+    type: "string",
+    enum: ["http", "https"],
+    description: `Protocol used to reach ${name}`,
+  },
+  HOST: { type: "string", description: `Host of ${name}` },
+  PORT: {
+    type: "integer",
+    nullable: true,
+    min: 1,
+    max: 65535,
+    description: `Port of ${name}, omitted from the URL when null`,
+  },
+  API_KEY: {
+    type: "string",
+    nullable: true,
+    description: `API key sent to ${name} as x-api-key`,
+  },
+});
+
+/**
+ * The settings of every config section. Defaults are in
+ * utils/defaultConfig.json. Settings that are not listed are passed through
+ * unchecked.
+ *
+ * @type {Object<string, Object<string, SettingSpec>>}
+ */
+const configSchema = {
+  GENERAL: {
+    CORE_REGISTRY_MODE: {
+      type: "boolean",
+      description: "Run against a core registry CADT",
+    },
+    LOG_LEVEL: { type: "string", description: "Log level of the host app" },
+    LOG_RETENTION_DAYS: {
+      type: "integer",
+      min: 1,
+      description: "Days of logs the host app keeps",
+    },
+  },
+  CHIA: {
+    DATALAYER_HOST: { type: "url", description: "DataLayer RPC URL" },
+    WALLET_HOST: { type: "url", description: "Wallet RPC URL" },
+    CERTIFICATE_FOLDER_PATH: {
+      type: "string",
+      nullable: true,
+      description: "Chia ssl folder, defaults to CHIA_ROOT/config/ssl",
+    },
+    ALLOW_SELF_SIGNED_CERTIFICATES: {
+      type: "boolean",
+      description: "Accept the self signed certificates of the Chia RPCs",
+    },
+    DEFAULT_WALLET_ID: {
+      type: "integer",
+      min: 1,
+      description: "Wallet used when a wallet call has no wallet id",
+    },
+  },
+  CADT: serviceSection("CADT"),
+  RETIREMENT_EXPLORER: serviceSection("the Retirement Explorer"),
+  CHIA_CLIMATE_TOKENIZATION: serviceSection("the Token Driver"),
+  TOKENIZATION_ENGINE: {
+    ...serviceSection("the Tokenization Engine"),
+    BIND_ADDRESS: {
+      type: "string",
+      description: "Address the Tokenization Engine listens on",
+    },
+    UNITS_FILTER: {
+      type: "string",
+      description: "CADT filter of the units the Tokenization Engine shows",
+    },
+    TASKS: { type: "object", description: "Scheduled task settings" },
+  },
+};
+
+/**
+ * The sections each client reads.
+ */
+const clientSections = {
+  registry: ["CADT", "CHIA"],
+  "token-driver": ["CHIA_CLIMATE_TOKENIZATION"],
+  "retirement-explorer": ["RETIREMENT_EXPLORER"],
+  wallet: ["CHIA"],
+  datalayer: ["CHIA"],
+  client: ["CADT", "CHIA", "CHIA_CLIMATE_TOKENIZATION", "RETIREMENT_EXPLORER"],
+};
+
+/**
+ * Gets the default location of the core registry config.yaml.
+ *
+ * @returns {string} The config path
+ */
+const getDefaultConfigPath = () => {
+  return path.join(getChiaRoot(), "core-registry", "config.yaml");
+};
+
+/**
+ * Converts strings from YAML files or environment variables to the type of
+ * the setting. Values that cannot be converted are left for validation to
+ * report.
+ *
+ * @param {*} value - The value
+ * @param {SettingSpec} [spec] - The setting
+ * @returns {*} The converted value
+ */
+const coerceValue = (value, spec) => {
+  if (typeof value !== "string" || !spec) {
+    return value;
+  }
+  // An empty API_KEY meant no key before settings were validated
+  if (spec.nullable && (value === "null" || value === "")) {
+    return null;
+  }
+  if (spec.type === "integer" && /^-?\d+$/.test(value.trim())) {
+    return Number(value);
+  }
+  if (spec.type === "boolean" && ["true", "false"].includes(value)) {
+    return value === "true";
+  }
+  return value;
+};
+
+/**
+ * Checks a single setting.
+ *
+ * @param {*} value - The value
+ * @param {SettingSpec} spec - The setting
+ * @returns {string|null} What is wrong with the value, null if it is valid
+ */
+const checkSetting = (value, spec) => {
+  if (value === null || value === undefined) {
+    return spec.nullable ? null : "is required";
+  }
+
+  switch (spec.type) {
+    case "integer":
+      if (!Number.isSafeInteger(value)) {
+        return "must be a whole number";
+      }
+      if (spec.min !== undefined && value < spec.min) {
+        return `must be at least ${spec.min}`;
+      }
+      if (spec.max !== undefined && value > spec.max) {
+        return `must be at most ${spec.max}`;
+      }
+      return null;
+    case "boolean":
+      return typeof value === "boolean" ? null : "must be true or false";
+    case "object":
+      return typeof value === "object" && !Array.isArray(value)
+        ? null
+        : "must be a mapping";
+    case "url":
+      return typeof value === "string" && /^https?:\/\/[^/]+/.test(value)
+        ? null
+        : "must be an http or https URL";
+    default:
+      if (typeof value !== "string" || value === "") {
+        return "must be a non-empty string";
+      }
+      if (spec.enum && !spec.enum.includes(value)) {
+        return `must be one of ${spec.enum.join(", ")}`;
+      }
+      return null;
+  }
+};
+
+/**
+ * Lists every problem in the given sections of a config.
+ *
+ * @param {Object} config - The config
+ * @param {Array<string>} [sections] - The sections to check, every known section if omitted
+ * @returns {Array<{field: string, message: string}>} The problems, empty if the config is valid
+ */
+const validateConfig = (config, sections = Object.keys(configSchema)) => {
+  const errors = [];
+
+  sections.forEach((section) => {
+    const values = config?.[section];
+    if (typeof values !== "object" || values === null) {
+      errors.push({ field: section, message: "section is missing" });
+      return;
+    }
+
+    Object.entries(configSchema[section] || {}).forEach(([key, spec]) => {
+      const message = checkSetting(values[key], spec);
+      if (message) {
+        errors.push({ field: `${section}.${key}`, message });
+      }
+    });
+  });
+
+  return errors;
+};
+
+/**
+ * Fills in the defaults of the given sections and checks them. Sections that
+ * are not requested are passed through untouched, so a client can be built
+ * from a config holding only the sections it reads.
+ *
+ * @param {Object} [config={}] - The config
+ * @param {Array<string>} [sections] - The sections to resolve, every known section if omitted
+ * @returns {Object} The config with defaults applied
+ * @throws {ConfigError} Listing every problem if any section is invalid
+ */
+const resolveConfig = (config = {}, sections = Object.keys(configSchema)) => {
+  const resolved = { ...config };
+
+  sections.forEach((section) => {
+    const values = { ...defaultConfig[section], ...config[section] };
+    Object.keys(values).forEach((key) => {
+      values[key] = coerceValue(values[key], configSchema[section]?.[key]);
+    });
+    resolved[section] = values;
+  });
+
+  const errors = validateConfig(resolved, sections);
+  if (errors.length) {
+    throw new ConfigError(
+      `Invalid config: ${errors
+        .map(({ field, message }) => `${field} ${message}`)
+        .join("; ")}`,
+      { errors }
+    );
+  }
+
+  return resolved;
+};
+
+/**
+ * Reads `CORE_REGISTRY_<SECTION>_<KEY>` environment variables, e.g.
+ * `CORE_REGISTRY_CADT_HOST`, into config sections.
+ *
+ * @param {Object} env - The environment variables
+ * @returns {Object} The settings found, by section
+ */
+const readEnvConfig = (env) => {
+  // Longest section first, so CHIA_CLIMATE_TOKENIZATION_HOST is not read as CHIA
+  const sections = Object.keys(configSchema).sort(
+    (a, b) => b.length - a.length
+  );
+  const config = {};
+
+  Object.entries(env)
+    .filter(([name]) => name.startsWith(envPrefix))
+    .forEach(([name, value]) => {
+      const setting = name.slice(envPrefix.length);
+      const section = sections.find((item) => setting.startsWith(`${item}_`));
+      if (section) {
+        config[section] = {
+          ...config[section],
+          [setting.slice(section.length + 1)]: value,
+        };
+      }
+    });
+
+  return config;
+};
+
+/**
+ * Merges config sources section by section, later sources winning.
+ *
+ * @param {...Object} sources - The configs
+ * @returns {Object} The merged config
+ */
+const mergeConfigs = (...sources) => {
+  return sources.reduce((merged, source) => {
+    Object.entries(source || {}).forEach(([section, values]) => {
+      merged[section] =
+        typeof values === "object" && values !== null && !Array.isArray(values)
+          ? { ...merged[section], ...values }
+          : values;
+    });
+    return merged;
+  }, {});
+};
+
+/**
+ * Loads a config from a YAML file, an object and environment variables, in
+ * that order of precedence from lowest to highest, fills in the defaults and
+ * checks it.
+ *
+ * @param {Object} [options] - Function options.
+ * @param {Object} [options.config] - Settings given in code
+ * @param {string|false} [options.configPath] - The YAML file, defaults to CHIA_ROOT/core-registry/config.yaml if it exists, false to skip
+ * @param {Object|false} [options.env=process.env] - The environment variables, false to skip
+ * @param {Array<string>} [options.sections] - The sections to resolve, every known section if omitted
+ * @returns {Object} The config
+ * @throws {ConfigError} If the file cannot be read or any section is invalid
+ */
+const loadConfig = (options = {}) => {
+  const { config, configPath, env = process.env, sections } = options;
+  let fileConfig = {};
+
+  if (configPath !== false) {
+    const file = configPath || getDefaultConfigPath();
+
+    if (configPath || fs.existsSync(file)) {
+      try {
+        fileConfig = yaml.load(fs.readFileSync(file, "utf8")) || {};
+      } catch (error) {
+        throw new ConfigError(
+          `Could not read config file ${file}: ${error.message}`,
+          { cause: error }
+        );
+      }
+    }
+  }
+
+  return resolveConfig(
+    mergeConfigs(fileConfig, config, env ? readEnvConfig(env) : {}),
+    sections
+  );
+};
+
+module.exports = {
+  configSchema,
+  clientSections,
+  getDefaultConfigPath,
+  validateConfig,
+  resolveConfig,
+  loadConfig,
+};
@@ -0,0 +1,11 @@
+module.exports = {
+  emptySingletonHash:
+    "0x0000000000000000000000000000000000000000000000000000000000000000",
+  catMojosPerUnit: 1000,
+  tokenizedMarketplace: "Tokenized on Chia",
+  activityModes: {
+    tokenization: "TOKENIZATION",
+    detokenization: "DETOKENIZATION",
+    permissionlessRetirement: "PERMISSIONLESS_RETIREMENT",
+  },
+};
@@ -0,0 +1,231 @@
+/**
+ * Base class for every error raised by the API clients. Carries enough of the
+ * failed request to tell which upstream failed and why.
+ */
+class CoreRegistryApiError extends Error {
+  /**
+   * @param {string} message - The error message
+   * @param {Object} [details] - Details of the failed request.
+   * @param {string} [details.service] - The upstream service, e.g. "registry"
+   * @param {string} [details.method] - The HTTP method of the request
+   * @param {string} [details.url] - The URL of the request
+   * @param {number} [details.status] - The HTTP status of the response
+   * @param {*} [details.responseBody] - The body of the response
+   * @param {Error} [details.cause] - The underlying error
+   */
+  constructor(
+    message,
+    { service, method, url, status, responseBody, cause } = {}
+  ) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.service = service;
+    this.method = method;
+    this.url = url;
+    this.status = status;
+    this.responseBody = responseBody;
+  }
+}
+
+/** The API key was missing or rejected (401/403). */
+class AuthenticationError extends CoreRegistryApiError {}
+
+/** The requested record does not exist (404). */
+class NotFoundError extends CoreRegistryApiError {}
+
+/** The request was rejected as invalid (other 4xx), or failed a local check before sending. */
+class ValidationError extends CoreRegistryApiError {}
+
+/**
+ * @typedef {Object} FieldError
+ * @property {string} field - Path of the invalid field, e.g. "issuance.startDate"
+ * @property {string} message - What is wrong with it
+ */
+
+/** A payload failed schema validation before it was sent. */
+class SchemaValidationError extends ValidationError {
+  /**
+   * @param {string} message - The error message
+   * @param {Object} [details] - See CoreRegistryApiError, plus:
+   * @param {Array<FieldError>} [details.errors] - The invalid fields
+   */
+  constructor(message, { errors = [], ...details } = {}) {
+    super(message, details);
+    this.errors = errors;
+  }
+}
+
+/** A serial number block is malformed or an operation on it would break the serial number ranges. */
+class SerialNumberError extends ValidationError {}
+
+/** The service could not be reached or failed on its side (5xx, connection errors). */
+class UpstreamUnavailableError extends CoreRegistryApiError {}
+
+/** The request did not complete within its timeout. */
+class TimeoutError extends CoreRegistryApiError {}
+
+/** A wait for on-chain or registry confirmation gave up before it completed. */
+class SyncTimeoutError extends CoreRegistryApiError {}
+
+/** A response body does not have the shape this client expects, e.g. after a CADT upgrade. */
+class UnexpectedResponseError extends CoreRegistryApiError {
+  /**
+   * @param {string} message - The error message
+   * @param {Object} [details] - See CoreRegistryApiError, plus:
+   * @param {Array<FieldError>} [details.errors] - The unexpected fields
+   */
+  constructor(message, { errors = [], ...details } = {}) {
+    super(message, details);
+    this.errors = errors;
+  }
+}
+
+/** A wait was cancelled through its AbortSignal. */
+class WaitAbortedError extends CoreRegistryApiError {}
+
+/** A step of a workflow failed. The workflow can be resumed from that step. */
+class WorkflowError extends CoreRegistryApiError {
+  /**
+   * @param {string} message - The error message
+   * @param {Object} [details] - See CoreRegistryApiError, plus:
+   * @param {string} [details.workflowId] - The id to resume the workflow with
+   * @param {string} [details.step] - The step that failed
+   */
+  constructor(message, { workflowId, step, ...details } = {}) {
+    super(message, details);
+    this.workflowId = workflowId;
+    this.step = step;
+  }
+}
+
+/** Submitting the token creation to the token driver failed. */
+class TokenSubmissionError extends WorkflowError {}
+
+/**
+ * An earlier token creation may have been accepted by the token driver, so
+ * submitting it again could mint a second token. An operator has to check
+ * and resume with the token found, or confirm that none was minted.
+ */
+class TokenSubmissionUncertainError extends TokenSubmissionError {}
+
+/** The token creation transaction was not confirmed on chain. */
+class TokenConfirmationError extends WorkflowError {}
+
+/** The tokenized unit could not be registered in the warehouse. */
+class TokenRegistrationError extends WorkflowError {}
+
+/** The client config is missing a section or has invalid settings. */
+class ConfigError extends CoreRegistryApiError {
+  /**
+   * @param {string} message - The error message
+   * @param {Object} [details] - See CoreRegistryApiError, plus:
+   * @param {Array<FieldError>} [details.errors] - The invalid settings, e.g. "CADT.PORT"
+   */
+  constructor(message, { errors = [], ...details } = {}) {
+    super(message, details);
+    this.errors = errors;
+  }
+}
+
+/** A compare-and-set of org metadata found a different value than expected. */
+class MetadataConflictError extends CoreRegistryApiError {
+  /**
+   * @param {string} message - The error message
+   * @param {Object} [details] - See CoreRegistryApiError, plus:
+   * @param {string} [details.key] - The metadata key
+   * @param {*} [details.expected] - The value the key was expected to hold
+   * @param {*} [details.actual] - The value it holds
+   */
+  constructor(message, { key, expected, actual, ...details } = {}) {
+    super(message, details);
+    this.key = key;
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+const connectionErrorCodes = [
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "EHOSTUNREACH",
+  "ENETUNREACH",
+  "EPIPE",
+];
+
+/**
+ * Converts an error thrown while making a request into the matching typed error.
+ * Errors that are already typed are returned untouched.
+ *
+ * @param {Error} error - The error thrown by superagent or the calling code
+ * @param {Object} request - The failed request.
+ * @param {string} request.service - The upstream service, e.g. "registry"
+ * @param {string} request.method - The HTTP method of the request
+ * @param {string} request.url - The URL of the request
+ * @param {string} request.message - A description of what could not be done
+ * @returns {CoreRegistryApiError} The typed error
+ */
+const toApiError = (error, { service, method, url, message }) => {
+  if (error instanceof CoreRegistryApiError) {
+    return error;
+  }
+
+  const status = error.status ?? error.response?.status;
+  const details = {
+    service,
+    method,
+    url,
+    status,
+    responseBody: error.response?.body ?? error.response?.text,
+    cause: error,
+  };
+  const fullMessage = `${message}: ${error.message}`;
+
+  if (status === 401 || status === 403) {
+    return new AuthenticationError(
+      `${message}: ${service} API key is invalid, please check your config.yaml.`,
+      details
+    );
+  }
+
+  if (status === 404) {
+    return new NotFoundError(fullMessage, details);
+  }
+
+  if (status >= 400 && status < 500) {
+    return new ValidationError(fullMessage, details);
+  }
+
+  if (error.timeout || error.code === "ETIMEDOUT") {
+    return new TimeoutError(fullMessage, details);
+  }
+
+  if (status >= 500 || connectionErrorCodes.includes(error.code)) {
+    return new UpstreamUnavailableError(fullMessage, details);
+  }
+
+  return new CoreRegistryApiError(fullMessage, details);
+};
+
+module.exports = {
+  CoreRegistryApiError,
+  AuthenticationError,
+  NotFoundError,
+  ValidationError,
+  SchemaValidationError,
+  SerialNumberError,
+  UpstreamUnavailableError,
+  TimeoutError,
+  SyncTimeoutError,
+  UnexpectedResponseError,
+  WaitAbortedError,
+  WorkflowError,
+  TokenSubmissionError,
+  TokenSubmissionUncertainError,
+  TokenConfirmationError,
+  TokenRegistrationError,
+  ConfigError,
+  MetadataConflictError,
+  toApiError,
+};
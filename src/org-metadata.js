@@ -0,0 +1,256 @@
+const utils = require("./utils");
+const { MetadataConflictError, ValidationError } = require("./errors");
+
+/**
+ * Parses a stored metadata value. Values written before the store existed
+ * are plain strings, which are returned as they are unless they are JSON.
+ *
+ * @param {string|undefined} raw - The stored value
+ * @returns {*} The value, or null if the key is missing
+ */
+const parseValue = (raw) => {
+  if (raw === undefined || raw === null || raw === "") {
+    return null;
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return raw;
+  }
+};
+
+/**
+ * Reads and writes JSON values in the metadata of an organization, with the
+ * keys prefixed by a namespace so several tools can keep state on the same
+ * org. Only the home org's metadata can be written, and every write waits
+ * until it is confirmed on chain.
+ *
+ * CADT cannot remove metadata keys, so deleting a key stores null, which
+ * reads the same as a key that was never set.
+ */
+class OrgMetadataStore {
+  /**
+   * @param {RegistryApi} registry - The registry client
+   * @param {Object} [options] - Store options.
+   * @param {string} [options.namespace] - Prefix of the keys, as `<namespace>:<key>`; keys are used as they are without one
+   * @param {string} [options.orgUid] - Read the metadata of this organization instead of the home org, which makes the store read-only
+   */
+  constructor(registry, options = {}) {
+    this.registry = registry;
+    this.namespace = options.namespace || null;
+    this.orgUid = options.orgUid || null;
+  }
+
+  /**
+   * Gets the metadata key of a key in the namespace.
+   *
+   * @param {string} key - The key
+   * @returns {string} The metadata key
+   * @throws {ValidationError} If the key is empty
+   */
+  getMetadataKey = (key) => {
+    if (!key) {
+      throw new ValidationError("Metadata key must not be empty", {
+        service: "registry",
+      });
+    }
+
+    return this.namespace ? `${this.namespace}:${key}` : key;
+  };
+
+  /**
+   * Gets the organization whose metadata is read.
+   *
+   * @returns {Promise<string>} The orgUid
+   * @throws {ValidationError} If CADT has no home org
+   */
+  getOrgUid = async () => {
+    const orgUid = this.orgUid || (await this.registry.getHomeOrgUid());
+
+    if (!orgUid) {
+      throw new ValidationError(
+        "CADT has no home organization to keep metadata on",
+        { service: "registry" }
+      );
+    }
+
+    return orgUid;
+  };
+
+  /**
+   * Gets every value of the namespace.
+   *
+   * @returns {Promise<Object>} The values keyed by their key without the namespace
+   */
+  getAll = async () => {
+    const metadata = await this.registry.getOrgMetaData(await this.getOrgUid());
+    const prefix = this.namespace ? `${this.namespace}:` : "";
+    const values = {};
+
+    for (const [metadataKey, raw] of Object.entries(metadata || {})) {
+      const value = parseValue(raw);
+      if (metadataKey.startsWith(prefix) && value !== null) {
+        values[metadataKey.slice(prefix.length)] = value;
+      }
+    }
+
+    return values;
+  };
+
+  /**
+   * Gets a value.
+   *
+   * @param {string} key - The key
+   * @returns {Promise<*>} The value, or null if the key is not set
+   */
+  get = async (key) => {
+    const metadataKey = this.getMetadataKey(key);
+    const metadata = await this.registry.getOrgMetaData(await this.getOrgUid());
+
+    return parseValue(metadata?.[metadataKey]);
+  };
+
+  /**
+   * Sets a value and waits until it is confirmed on chain.
+   *
+   * @param {string} key - The key
+   * @param {*} value - The value, must be JSON serializable; null deletes the key
+   * @param {Object} [options] - Function options.
+   * @param {boolean} [options.dryRun] - Return the planned request instead of writing
+   * @param {AbortSignal} [options.signal] - Cancels the waits before and after the write
+   * @param {number} [options.timeout] - Milliseconds to wait for the write to confirm
+   * @param {Date|number} [options.deadline] - Time by which the write must be confirmed
+   * @param {Function} [options.onProgress] - Receives the progress of the confirmation waits
+   * @returns {Promise<Object>} The response body, or the plan in a dry run with the value `before` and `after`
+   * @throws {ValidationError} If the store is read-only or the value is not JSON serializable
+   */
+  set = async (key, value, options = {}) => {
+    const metadataKey = this.getMetadataKey(key);
+    const request = await this.buildWrite(metadataKey, value);
+
+    if (this.registry.isDryRun(options)) {
+      const plan = this.registry.planRequest(request);
+      plan.before = await this.get(key);
+      plan.after = value ?? null;
+      return plan;
+    }
+
+    // One deadline covers the waits before and after the write
+    const wait = utils.createWait("org-metadata", options);
+
+    await this.registry.waitForConfirmedWrite(wait.toOptions());
+    const response = await this.registry.request(request);
+    await this.registry.waitForConfirmedWrite(wait.toOptions());
+
+    return response.body;
+  };
+
+  /**
+   * Deletes a value, see the class notes.
+   *
+   * @param {string} key - The key
+   * @param {Object} [options] - See set
+   * @returns {Promise<Object>} The response body, or the plan in a dry run
+   */
+  delete = (key, options = {}) => {
+    return this.set(key, null, options);
+  };
+
+  /**
+   * Sets a value only if it still holds the expected value. The check is
+   * best-effort, CADT has no conditional write: the value is read once CADT
+   * has synced with the chain, the write is sent right after the check and
+   * the value is read again once the write is confirmed. A write by another
+   * tool that is confirmed before the read is detected, as is one confirmed
+   * after ours. A write confirmed between the read and ours is overwritten
+   * without being detected, so writers that must not lose updates need to be
+   * coordinated outside CADT.
+   *
+   * @param {string} key - The key
+   * @param {*} expected - The value read earlier, null if the key was not set
+   * @param {*} value - The new value, see set
+   * @param {Object} [options] - See set
+   * @returns {Promise<Object>} The response body, or the plan in a dry run
+   * @throws {MetadataConflictError} If the value was seen to change, see above
+   */
+  compareAndSet = async (key, expected, value, options = {}) => {
+    if (this.registry.isDryRun(options)) {
+      this.assertValue(key, expected, await this.get(key));
+      return this.set(key, value, options);
+    }
+
+    const request = await this.buildWrite(this.getMetadataKey(key), value);
+    const wait = utils.createWait("org-metadata", options);
+
+    await this.registry.waitForConfirmedWrite(wait.toOptions());
+    this.assertValue(key, expected, await this.get(key));
+
+    // No wait between the check and the write, to keep the window small
+    const response = await this.registry.request(request);
+    await this.registry.waitForConfirmedWrite(wait.toOptions());
+    this.assertValue(key, value ?? null, await this.get(key));
+
+    return response.body;
+  };
+
+  /**
+   * Checks that a key holds a value.
+   *
+   * @param {string} key - The key
+   * @param {*} expected - The value the key should hold
+   * @param {*} actual - The value it holds
+   * @throws {MetadataConflictError} If the values differ
+   */
+  assertValue = (key, expected, actual) => {
+    if (JSON.stringify(expected ?? null) !== JSON.stringify(actual)) {
+      throw new MetadataConflictError(
+        `Metadata ${this.getMetadataKey(key)} was changed by another writer`,
+        { service: "registry", key, expected, actual }
+      );
+    }
+  };
+
+  /**
+   * Builds the request writing a value.
+   *
+   * @param {string} metadataKey - The metadata key
+   * @param {*} value - The value
+   * @returns {Promise<Object>} The request
+   * @throws {ValidationError} If CADT has no home org, the store is read-only or the value is not JSON serializable
+   */
+  buildWrite = async (metadataKey, value) => {
+    const homeOrgUid = await this.registry.getHomeOrgUid();
+
+    if (!homeOrgUid) {
+      throw new ValidationError(
+        "CADT has no home organization to keep metadata on",
+        { service: "registry" }
+      );
+    }
+
+    if (this.orgUid && this.orgUid !== homeOrgUid) {
+      throw new ValidationError(
+        `Cannot write the metadata of ${this.orgUid}, only the home org's metadata can be written`,
+        { service: "registry" }
+      );
+    }
+
+    const serialized = JSON.stringify(value ?? null);
+    if (serialized === undefined) {
+      throw new ValidationError(
+        `Metadata ${metadataKey} must be JSON serializable`,
+        { service: "registry" }
+      );
+    }
+
+    return {
+      method: "POST",
+      path: "/v1/organizations/metadata",
+      body: { [metadataKey]: serialized },
+      message: `Could not set metadata ${metadataKey}`,
+    };
+  };
+}
+
+module.exports = OrgMetadataStore;
@@ -0,0 +1,223 @@
+const { updateQueryWithParam } = require("./utils");
+const { ValidationError } = require("./errors");
+
+/**
+ * Filter operators understood by the CADT `filter` query parameter.
+ */
+const filterOperators = [
+  "eq",
+  "ne",
+  "gt",
+  "gte",
+  "lt",
+  "lte",
+  "like",
+  "in",
+  "not",
+];
+
+const columnPattern = /^[a-zA-Z][a-zA-Z0-9_]*$/;
+
+/**
+ * Fluent builder for CADT listing queries. Build one with `registry.units()`
+ * or `registry.projects()`, then run it with `iterate`, `all` or `page`.
+ *
+ * @example
+ * const heldUnits = await registry
+ *   .units()
+ *   .where("unitStatus", "eq", "Held")
+ *   .orgUid(orgUid)
+ *   .search("forest")
+ *   .all();
+ */
+class CadtQuery {
+  /**
+   * @param {RegistryApi} registry - The registry client the query runs on
+   * @param {string} path - The listing path, e.g. "/v1/units"
+   */
+  constructor(registry, path) {
+    this.registry = registry;
+    this.path = path;
+    this.params = {};
+  }
+
+  /**
+   * Validates a column name so it cannot break the filter syntax.
+   *
+   * @param {string} column - The column name
+   * @returns {string} The column name
+   */
+  assertColumn = (column) => {
+    if (typeof column !== "string" || !columnPattern.test(column)) {
+      throw new ValidationError(`Invalid column name: ${column}`, {
+        service: "registry",
+      });
+    }
+    return column;
+  };
+
+  /**
+   * Sets the filter expression. CADT supports a single filter per query.
+   *
+   * @param {string} column - The column to filter on
+   * @param {string} operator - One of eq, ne, gt, gte, lt, lte, like, in, not
+   * @param {*} value - The value to compare with, arrays are sent as JSON
+   * @returns {CadtQuery} The query
+   */
+  where = (column, operator, value) => {
+    if (!filterOperators.includes(operator)) {
+      throw new ValidationError(`Invalid filter operator: ${operator}`, {
+        service: "registry",
+      });
+    }
+
+    if (this.params.filter) {
+      throw new ValidationError("CADT supports a single filter per query", {
+        service: "registry",
+      });
+    }
+
+    const serializedValue = Array.isArray(value)
+      ? JSON.stringify(value)
+      : String(value);
+
+    this.assertColumn(column);
+    this.params.filter = `${column}:${serializedValue}:${operator}`;
+    return this;
+  };
+
+  /**
+   * Only returns records of an organization.
+   *
+   * @param {string} orgUid - The organization uid
+   * @returns {CadtQuery} The query
+   */
+  orgUid = (orgUid) => {
+    this.params.orgUid = orgUid;
+    return this;
+  };
+
+  /**
+   * Full text searches the records.
+   *
+   * @param {string} search - The search term
+   * @returns {CadtQuery} The query
+   */
+  search = (search) => {
+    this.params.search = search;
+    return this;
+  };
+
+  /**
+   * Only returns the given columns of each record.
+   *
+   * @param {Array<string>} columns - The column names
+   * @returns {CadtQuery} The query
+   */
+  columns = (columns) => {
+    this.params.columns = columns.map(this.assertColumn);
+    return this;
+  };
+
+  /**
+   * Orders the records.
+   *
+   * @param {string} column - The column, or a CADT order keyword such as "SERIALNUMBER"
+   * @param {string} [direction] - "ASC" or "DESC"
+   * @returns {CadtQuery} The query
+   */
+  orderBy = (column, direction) => {
+    if (direction && !["ASC", "DESC"].includes(direction.toUpperCase())) {
+      throw new ValidationError(`Invalid order direction: ${direction}`, {
+        service: "registry",
+      });
+    }
+
+    this.assertColumn(column);
+    this.params.order = direction
+      ? `${column}:${direction.toUpperCase()}`
+      : column;
+    return this;
+  };
+
+  /**
+   * Sets any other query parameter, e.g. `marketplaceIdentifiers` or `projectIds`.
+   *
+   * @param {string} name - The parameter name
+   * @param {*} value - The parameter value, arrays are sent as repeated parameters
+   * @returns {CadtQuery} The query
+   */
+  param = (name, value) => {
+    this.params[name] = value;
+    return this;
+  };
+
+  /**
+   * Gets the query parameters, for use with the agent's `query` method.
+   *
+   * @returns {Object} The query parameters
+   */
+  toQuery = () => {
+    return { ...this.params };
+  };
+
+  /**
+   * Gets the URL encoded query string.
+   *
+   * @returns {string} The query string, starting with "?"
+   */
+  toString() {
+    const params = Object.entries(this.params).flatMap(([param, value]) =>
+      (Array.isArray(value) ? value : [value]).map((item) => ({
+        param,
+        value: item,
+      }))
+    );
+
+    return updateQueryWithParam("", ...params);
+  }
+
+  /**
+   * Iterates over every matching record.
+   *
+   * @param {Object} [options] - See RegistryApi#paginate
+   * @returns {AsyncGenerator<Object>} The matching records, one at a time
+   */
+  iterate = (options = {}) => {
+    return this.registry.paginate(this.path, this.toQuery(), options);
+  };
+
+  /**
+   * Gets every matching record.
+   *
+   * @param {Object} [options] - See RegistryApi#paginate
+   * @returns {Promise<Array<Object>>} The matching records
+   */
+  all = async (options = {}) => {
+    const records = [];
+    for await (const record of this.iterate(options)) {
+      records.push(record);
+    }
+    return records;
+  };
+
+  /**
+   * Gets a single page of matching records.
+   *
+   * @param {number} [page=1] - The page number
+   * @param {number} [limit=100] - The page size
+   * @returns {Promise<Object>} The page with `page`, `pageCount` and `data`
+   */
+  page = async (page = 1, limit = 100) => {
+    const response = await this.registry.request({
+      method: "GET",
+      path: this.path,
+      query: { ...this.toQuery(), page, limit },
+      message: `Could not list ${this.path}`,
+    });
+
+    return response.body;
+  };
+}
+
+module.exports = CadtQuery;
@@ -1,67 +1,246 @@
-const superagent = require("superagent");
-const Datalayer = require("chia-datalayer");
-const wallet = require("../chia/wallet");
-const utils = require("../utils");
-const constants = require("../constants");
+const WalletRpcClient = require("./chia/wallet");
+const DataLayerRpcClient = require("./chia/datalayer");
+const utils = require("./utils");
+const constants = require("./constants");
+const HttpTransport = require("./transport");
+const CadtQuery = require("./query-builder");
+const schemas = require("./schemas");
+const { resolveConfig, clientSections } = require("./config");
+const { FileRetirementJournal } = require("./retirement-journal");
+const OrgMetadataStore = require("./org-metadata");
 const { Mutex } = require("async-mutex");
+const {
+  CoreRegistryApiError,
+  NotFoundError,
+  SchemaValidationError,
+  SyncTimeoutError,
+  ValidationError,
+} = require("./errors");
 
 const mutex = new Mutex();
 
+/**
+ * @typedef {Object} Organization
+ * @property {string} orgUid - The organization UID, which is also its organization store id; "PENDING" while the home org is created
+ * @property {string} name - The organization name
+ * @property {boolean} isHome - Whether this is the home organization
+ * @property {boolean} subscribed - Whether CADT syncs the organization's stores
+ * @property {string} syncStatus - "creating", "unsubscribed", "syncing", "synced" or "unknown" if CADT does not report it
+ * @property {number} syncRemaining - Store generations left to sync, as reported by CADT
+ */
+
+/**
+ * @typedef {Object} UnitDetails
+ * @property {Object} unit - The unit, or the first unit block of an asset
+ * @property {Array<Object>} units - Every unit block of an asset, or just the unit
+ * @property {Object|null} issuance - The issuance of the unit
+ * @property {Array<Object>} labels - The labels of the unit
+ * @property {Object|null} project - The project of the issuance, with its child records
+ * @property {Organization|null} org - The organization owning the unit
+ */
+
+// Child tables of a project, sent as arrays of records with the project
+const projectChildTables = [
+  "issuances",
+  "labels",
+  "projectLocations",
+  "projectRatings",
+  "coBenefits",
+  "relatedProjects",
+  "estimations",
+];
+
+// Asset ids are 32 byte hashes, warehouse unit ids are UUIDs
+const assetIdPattern = /^(0x)?[0-9a-f]{64}$/i;
+
+/**
+ * Splits a list into batches.
+ *
+ * @param {Array<*>} items - The list
+ * @param {number} size - The batch size
+ * @returns {Array<Array<*>>} The batches
+ */
+const chunk = (items, size) => {
+  const batches = [];
+  for (let i = 0; i < items.length; i += size) {
+    batches.push(items.slice(i, i + size));
+  }
+  return batches;
+};
+
+// Processing cursors kept in the home org metadata
+const cursorNames = ["retirement", "tokenization", "detokenization"];
+
+const nonRetirableUnitStatuses = ["Retired", "Cancelled", "Expired"];
+
+// Unit fields linking a unit to its token, cleared when it is detokenized
+const tokenizationFields = [
+  "marketplace",
+  "marketplaceIdentifier",
+  "marketplaceLink",
+];
+
+// Schemas of the records in the listings that are checked while paginating
+const listingSchemas = {
+  "/v1/units": "unitRecord",
+  "/v1/projects": "projectRecord",
+};
+
 class RegistryApi {
-  constructor(config, logger) {
-    this.config = config;
+  /**
+   * @param {Object} config - The client config
+   * @param {Object} logger - The logger
+   * @param {Object} [options] - Client options.
+   * @param {HttpTransport} [options.transport] - The transport used to reach CADT
+   * @param {WalletRpcClient} [options.wallet] - The wallet used to wait for transactions to confirm
+   * @param {DataLayerRpcClient} [options.datalayer] - The DataLayer client used to read the on-chain roots
+   * @param {number} [options.pollInterval] - Overrides the delays of every wait, e.g. to wait on a local mock
+   * @param {boolean} [options.dryRun=false] - Plan mutating operations instead of sending them, unless a call overrides it
+   * @param {boolean} [options.validateResponses=true] - Check unit and project records returned by CADT against their schemas
+   * @param {RetirementJournal} [options.retirementJournal] - Records retirements by coin id so none is made twice, defaults to a FileRetirementJournal
+   * @throws {ConfigError} If the CADT or CHIA section is invalid
+   */
+  constructor(config, logger, options = {}) {
+    this.config = resolveConfig(config, clientSections.registry);
     this.logger = logger;
+    this.transport =
+      options.transport || new HttpTransport(this.config, logger, options);
+    this.wallet =
+      options.wallet || new WalletRpcClient(this.config, logger, options);
+    this.datalayer =
+      options.datalayer || new DataLayerRpcClient(this.config, logger);
+    this.pollInterval = options.pollInterval;
+    this.dryRun = Boolean(options.dryRun);
+    this.validateResponses = options.validateResponses ?? true;
+    this.retirementJournal =
+      options.retirementJournal || new FileRetirementJournal();
   }
 
-  registryUri = utils.generateUriForHostAndPort(
-    this.config.CADT.PROTOCOL,
-    this.config.CADT.HOST,
-    this.config.CADT.PORT
-  );
+  /**
+   * Sends a request to CADT through the transport.
+   *
+   * @param {Object} request - The request, see HttpTransport#request
+   * @returns {Promise<Object>} The response
+   */
+  request = (request) => {
+    return this.transport.request({ service: "registry", ...request });
+  };
 
   /**
-   * Appends Registry API Key to the request headers if available.
+   * Checks records returned by CADT against a schema, so a change in the
+   * shape of CADT responses fails here instead of deep in the calling code.
    *
-   * @param {Object} [headers={}] - Optional headers to extend
-   * @returns {Object} Headers with API Key added if available
+   * @param {Object|Array<Object>} records - A record or a list of records
+   * @param {string} schemaName - The schema name, e.g. "unitRecord"
+   * @param {Object} [options] - Function options.
+   * @param {string} [options.path] - The path the records were listed from
+   * @param {boolean} [options.partial=false] - Skip the required fields check, e.g. when only some columns were requested
+   * @returns {Object|Array<Object>} The records
+   * @throws {UnexpectedResponseError} If a record does not match the schema
    */
-  maybeAppendRegistryApiKey = (headers = {}) => {
-    if (this.config.CADT.API_KEY) {
-      headers["x-api-key"] = this.config.CADT.API_KEY;
+  validateResponse = (records, schemaName, options = {}) => {
+    if (!this.validateResponses) {
+      return records;
     }
-    return headers;
+
+    schemas.assertValidResponse(records, schemaName, {
+      partial: options.partial,
+      details: {
+        service: "registry",
+        method: "GET",
+        url: options.path
+          ? `${this.transport.getServiceUri("registry")}${options.path}`
+          : undefined,
+      },
+    });
+
+    return records;
   };
 
   /**
-   * Commits staging data to the warehouse.
+   * Checks if a mutating call should only be planned.
    *
-   * @returns {Promise<Object>} The response body
+   * @param {Object} [options] - The options of the call
+   * @param {boolean} [options.dryRun] - Overrides the client level dryRun option
+   * @returns {boolean} True if the call must not write to CADT
    */
-  commitStagingData = async () => {
-    try {
-      this.logger.debug(`POST ${registryUri}/v1/staging/commit`);
-      const response = await superagent
-        .post(`${registryUri}/v1/staging/commit`)
-        .set(maybeAppendRegistryApiKey());
+  isDryRun = (options = {}) => {
+    return options.dryRun ?? this.dryRun;
+  };
 
-      await utils.waitFor(5000);
-      await wallet.waitForAllTransactionsToConfirm();
-      await utils.waitFor(5000);
-      await waitForRegistryDataSync();
+  /**
+   * Describes a write that a dry run would have sent.
+   *
+   * @param {Object} request - The request that was not sent
+   * @param {Array<Object>} [diff=[]] - The before/after state of every affected unit
+   * @returns {Object} The plan
+   */
+  planRequest = ({ method, path, body }, diff = []) => {
+    this.logger.info(`Dry run, not sending ${method} ${path}`);
+
+    return {
+      dryRun: true,
+      method,
+      url: `${this.transport.getServiceUri("registry")}${path}`,
+      payload: body ?? null,
+      diff,
+    };
+  };
 
-      return response.body;
-    } catch (error) {
-      this.logger.error(`Could not commit staging data: ${error.message}`);
+  /**
+   * Commits staging data to the warehouse.
+   *
+   * @param {Object} [options] - Function options.
+   * @param {boolean} [options.dryRun] - Return the planned request instead of committing
+   * @param {Array<string>} [options.expectedUuids] - Refuse to commit if anything other than these staged records is in staging
+   * @param {AbortSignal} [options.signal] - Cancels the wait for the commit to confirm
+   * @param {number} [options.timeout] - Milliseconds to wait for the commit to confirm
+   * @param {Date|number} [options.deadline] - Time by which the commit must be confirmed
+   * @param {Function} [options.onProgress] - Receives the progress of the confirmation waits
+   * @returns {Promise<Object>} The response body, or the plan in a dry run
+   */
+  commitStagingData = async (options = {}) => {
+    const request = {
+      method: "POST",
+      path: "/v1/staging/commit",
+      message: "Could not commit staging data",
+    };
 
-      // Log additional information if present in the error object
-      if (error.response && error.response.body) {
-        this.logger.error(
-          `Additional error details: ${JSON.stringify(error.response.body)}`
-        );
-      }
+    if (options.expectedUuids) {
+      await this.assertStagingEmpty({ except: options.expectedUuids });
+    }
 
-      return null;
+    if (this.isDryRun(options)) {
+      return this.planRequest(request);
     }
+
+    const response = await this.request(request);
+
+    await this.waitForConfirmedWrite(options);
+
+    return response.body;
+  };
+
+  /**
+   * Waits until the wallet has confirmed its transactions and the registry
+   * has synced with the chain, as needed after every write to the registry.
+   *
+   * @param {Object} [options] - The WaitOptions `signal`, `timeout`, `deadline` and `onProgress`, shared by both waits.
+   * @returns {Promise<void>}
+   * @throws {SyncTimeoutError} If the write is not confirmed in time
+   * @throws {WaitAbortedError} If the wait is aborted
+   */
+  waitForConfirmedWrite = async (options = {}) => {
+    const wait = utils.createWait("registry-write", options, {
+      service: "registry",
+    });
+
+    await this.wallet.waitForAllTransactionsToConfirm(wait.toOptions());
+    await wait.sleep(
+      this.pollInterval ?? 5000,
+      "Registry write was not confirmed"
+    );
+    await this.waitForRegistryDataSync(wait.toOptions());
   };
 
   /**
@@ -88,40 +267,83 @@ class RegistryApi {
     return cleanedUnit;
   };
 
+  /**
+   * Gets a single unit.
+   *
+   * @param {string} warehouseUnitId - The warehouse unit id
+   * @returns {Promise<Object>} The unit
+   * @throws {NotFoundError} If the unit does not exist, e.g. after it was split
+   */
+  getUnit = async (warehouseUnitId) => {
+    const response = await this.request({
+      method: "GET",
+      path: "/v1/units",
+      query: { warehouseUnitId },
+      message: "Could not get unit",
+    });
+
+    // CADT answers 200 with an empty body for a unit it does not have
+    if (!response.body || !Object.keys(response.body).length) {
+      throw new NotFoundError(`Unit ${warehouseUnitId} does not exist`, {
+        service: "registry",
+      });
+    }
+
+    return this.validateResponse(response.body, "unitRecord", {
+      path: "/v1/units",
+    });
+  };
+
   /**
    * Updates a given unit.
    *
    * @param {Object} unit - The unit to update
-   * @returns {Promise<Object>} The response body
+   * @param {Object} [options] - Function options.
+   * @param {boolean} [options.dryRun] - Return the planned request instead of updating
+   * @param {Object} [options.before] - The current unit for the dry run diff, fetched from CADT if omitted
+   * @param {Array<string>} [options.clear=[]] - Fields to send as null, which are otherwise left out
+   * @returns {Promise<Object>} The response body, or the plan in a dry run
+   * @throws {SchemaValidationError} If the updated unit is not a valid CADT unit
    */
-  updateUnit = async (unit) => {
-    try {
-      this.logger.debug(`PUT ${registryUri}/v1/units`);
-      const cleanedUnit = sanitizeUnitForUpdate(unit);
-      const response = await superagent
-        .put(`${registryUri}/v1/units`)
-        .send(cleanedUnit)
-        .set(maybeAppendRegistryApiKey({ "Content-Type": "application/json" }));
-
-      if (response.status === 403) {
-        throw new Error(
-          "Registry API key is invalid, please check your config.yaml."
-        );
-      }
+  updateUnit = async (unit, options = {}) => {
+    const cleanedUnit = this.sanitizeUnitForUpdate(unit);
+    (options.clear || []).forEach((field) => {
+      cleanedUnit[field] = null;
+    });
+    const request = {
+      method: "PUT",
+      path: "/v1/units",
+      body: cleanedUnit,
+      message: "Could not update unit",
+    };
 
-      return response?.body;
-    } catch (error) {
-      this.logger.error(`Could not update unit: ${error.message}`);
+    schemas.assertValidPayload(cleanedUnit, "unitUpdate", {
+      service: "registry",
+      method: request.method,
+      url: `${this.transport.getServiceUri("registry")}${request.path}`,
+    });
 
-      // Log additional information if present in the error object
-      if (error.response && error.response.body) {
-        this.logger.error(
-          `Additional error details: ${JSON.stringify(error.response.body)}`
-        );
-      }
+    if (this.isDryRun(options)) {
+      const before =
+        options.before || (await this.getUnit(unit.warehouseUnitId));
 
-      return null;
+      return this.planRequest(request, [
+        {
+          warehouseUnitId: unit.warehouseUnitId,
+          action: "update",
+          before,
+          after: cleanedUnit,
+          changes: utils.diffFields(
+            this.sanitizeUnitForUpdate(before),
+            cleanedUnit
+          ),
+        },
+      ]);
     }
+
+    const response = await this.request(request);
+
+    return response?.body;
   };
 
   /**
@@ -130,10 +352,18 @@ class RegistryApi {
    * @param {Object} unit - The unit to retire
    * @param {string} beneficiaryName - The name of the beneficiary
    * @param {string} beneficiaryAddress - The address of the beneficiary
-   * @returns {Promise<Object>} The response body
+   * @param {Object} [options] - Function options.
+   * @param {boolean} [options.dryRun] - Return the planned request instead of retiring
+   * @returns {Promise<Object>} The response body, or the plan in a dry run
+   * @throws {SchemaValidationError} If the retired unit is not a valid CADT unit
    */
-  retireUnit = async (unit, beneficiaryName, beneficiaryAddress) => {
-    const cleanedUnit = sanitizeUnitForUpdate(unit);
+  retireUnit = async (
+    unit,
+    beneficiaryName,
+    beneficiaryAddress,
+    options = {}
+  ) => {
+    const cleanedUnit = this.sanitizeUnitForUpdate(unit);
     if (beneficiaryName) {
       cleanedUnit.unitOwner = beneficiaryName;
     }
@@ -143,84 +373,99 @@ class RegistryApi {
     cleanedUnit.unitStatus = "Retired";
 
     this.logger.info(`Retiring whole unit ${unit.warehouseUnitId}`);
-    return await updateUnit(cleanedUnit);
+    return await this.updateUnit(cleanedUnit, { ...options, before: unit });
+  };
+
+  /**
+   * Detokenizes a given unit, removing its marketplace fields.
+   *
+   * @param {Object} unit - The unit to detokenize
+   * @param {Object} [options] - Function options.
+   * @param {boolean} [options.dryRun] - Return the planned request instead of detokenizing
+   * @returns {Promise<Object>} The response body, or the plan in a dry run
+   * @throws {SchemaValidationError} If the detokenized unit is not a valid CADT unit
+   */
+  detokenizeUnit = async (unit, options = {}) => {
+    this.logger.info(`Detokenizing whole unit ${unit.warehouseUnitId}`);
+    return await this.updateUnit(unit, {
+      ...options,
+      before: unit,
+      clear: tokenizationFields,
+    });
   };
 
   /**
-   * Gets asset unit blocks by a marketplace identifier.
+   * Gets asset unit blocks by a marketplace identifier, matching it as
+   * given, or lower case with or without 0x.
    *
    * @param {string} marketplaceIdentifier - The marketplace identifier
    * @returns {Promise<Object>} The response body
    */
   getAssetUnitBlocks = async (marketplaceIdentifier) => {
-    try {
-      this.logger.debug(
-        `GET ${registryUri}/v1/units?filter=marketplaceIdentifier:${marketplaceIdentifier}:eq`
-      );
-      const response = await superagent
-        .get(
-          `${registryUri}/v1/units?filter=marketplaceIdentifier:${marketplaceIdentifier}:eq`
+    const response = await this.request({
+      method: "GET",
+      path: "/v1/units",
+      query: this.units()
+        .where(
+          "marketplaceIdentifier",
+          "in",
+          utils.getAssetIdVariants(marketplaceIdentifier)
         )
-        .set(maybeAppendRegistryApiKey());
-
-      if (response.status === 403) {
-        throw new Error(
-          "Registry API key is invalid, please check your config.yaml."
-        );
-      }
+        .toQuery(),
+      message: "Could not get asset unit blocks from registry",
+    });
 
-      return response?.body;
-    } catch (error) {
-      this.logger.error(
-        `Could not get asset unit blocks from registry: ${error.message}`
-      );
+    return this.validateResponse(response?.body, "unitRecord", {
+      path: "/v1/units",
+    });
+  };
 
-      // Log additional information if present in the error object
-      if (error.response && error.response.body) {
-        this.logger.error(
-          `Additional error details: ${JSON.stringify(error.response.body)}`
-        );
-      }
+  /**
+   * Opens a store of JSON values in the home org metadata.
+   *
+   * @param {string} [namespace] - Prefix of the keys, see OrgMetadataStore
+   * @param {Object} [options] - See OrgMetadataStore
+   * @returns {OrgMetadataStore} The store
+   */
+  metadata = (namespace, options = {}) => {
+    return new OrgMetadataStore(this, { ...options, namespace });
+  };
 
-      return null;
+  /**
+   * Gets the metadata store and key of a processing cursor.
+   *
+   * @param {string} [cursor="retirement"] - "retirement", "tokenization" or "detokenization"
+   * @returns {{store: OrgMetadataStore, key: string}} The store and key
+   * @throws {ValidationError} If the cursor is unknown
+   */
+  getCursor = (cursor = "retirement") => {
+    if (!cursorNames.includes(cursor)) {
+      throw new ValidationError(
+        `Unknown cursor ${cursor}, expected one of ${cursorNames.join(", ")}`,
+        { service: "registry" }
+      );
     }
+
+    // The retirement cursor keeps the key it had before cursors were added
+    return cursor === "retirement"
+      ? { store: this.metadata(), key: "lastRetiredBlockHeight" }
+      : { store: this.metadata("cursor"), key: cursor };
   };
 
   /**
    * Gets the last processed block height.
    *
-   * @returns {Promise<number|null>} The last processed height or null
+   * @param {Object} [options] - Function options.
+   * @param {string} [options.cursor="retirement"] - The cursor, see getCursor
+   * @returns {Promise<number|null>} The last processed height, 0 if never set, or null without a home org
    */
-  getLastProcessedHeight = async () => {
-    try {
-      const homeOrgUid = await getHomeOrgUid();
-      this.logger.debug(`GET ${registryUri}/v1/organizations/metadata`);
-      const response = await superagent
-        .get(`${registryUri}/v1/organizations/metadata`)
-        .query({ orgUid: homeOrgUid })
-        .set(maybeAppendRegistryApiKey());
-
-      if (response.status === 403) {
-        throw new Error(
-          "Registry API key is invalid, please check your config.yaml."
-        );
-      }
-
-      return response.status === 200
-        ? Number(response.body["lastRetiredBlockHeight"] || 0)
-        : null;
-    } catch (error) {
-      this.logger.error(`Could not get last processed height: ${error.message}`);
-
-      // Log additional information if present in the error object
-      if (error.response && error.response.body) {
-        this.logger.error(
-          `Additional error details: ${JSON.stringify(error.response.body)}`
-        );
-      }
-
+  getLastProcessedHeight = async (options = {}) => {
+    if (!(await this.getHomeOrgUid())) {
       return null;
     }
+
+    const { store, key } = this.getCursor(options.cursor);
+    return Number((await store.get(key)) || 0);
   };
 
   /**
@@ -229,112 +474,46 @@ class RegistryApi {
    * @returns {Promise<string|null>} The home organization UID or null
    */
   getHomeOrgUid = async () => {
-    const homeOrg = await getHomeOrg();
+    const homeOrg = await this.getHomeOrg();
     return homeOrg ? homeOrg.orgUid : null;
   };
 
   /**
    * Gets the home organization.
    *
-   * @returns {Promise<Object|null>} The home organization or null
+   * @param {Object} [options] - Function options.
+   * @param {AbortSignal} [options.signal] - Aborts the request
+   * @returns {Promise<Organization|null>} The home organization, or null if CADT has none or it is still being created
    */
-  getHomeOrg = async () => {
-    try {
-      this.logger.debug(`GET ${registryUri}/v1/organizations`);
-      const response = await superagent
-        .get(`${registryUri}/v1/organizations`)
-        .set(maybeAppendRegistryApiKey());
-
-      if (response.status === 403) {
-        throw new Error(
-          "Registry API key is invalid, please check your config.yaml."
-        );
-      }
-
-      if (response.status !== 200) {
-        throw new Error(`Received non-200 status code: ${response.status}`);
-      }
-
-      const orgArray = Object.keys(response.body).map(
-        (key) => response.body[key]
-      );
-
-      const homeOrg = orgArray.find((org) => org.isHome) || null;
-
-      if (homeOrg.orgUid === "PENDING") {
-        return null;
-      }
-
-      return homeOrg;
-    } catch (error) {
-      this.logger.error(`Could not get home org: ${error.message}`);
-
-      // Log additional information if present in the error object
-      if (error.response && error.response.body) {
-        this.logger.error(
-          `Additional error details: ${JSON.stringify(error.response.body)}`
-        );
-      }
+  getHomeOrg = async (options = {}) => {
+    const organizations = await this.listOrganizations(options);
+    const homeOrg = organizations.find((org) => org.isHome);
 
+    if (!homeOrg || homeOrg.orgUid === "PENDING") {
       return null;
     }
+
+    return homeOrg;
   };
 
   /**
    * Sets the last processed block height.
    *
    * @param {number} height - The last processed height
-   * @returns {Promise<Object>} The response body
+   * @param {Object} [options] - Function options, see OrgMetadataStore#set, plus:
+   * @param {string} [options.cursor="retirement"] - The cursor, see getCursor
+   * @param {number|null} [options.expected] - Only move the cursor if it still holds this height, null if it was never set; see OrgMetadataStore#compareAndSet
+   * @returns {Promise<Object>} The response body, or the plan in a dry run
+   * @throws {MetadataConflictError} If the cursor moved away from the expected height
    */
-  setLastProcessedHeight = async (height) => {
-    try {
-      await wallet.waitForAllTransactionsToConfirm();
-      await utils.waitFor(5000);
-      await waitForRegistryDataSync();
-
-      this.logger.debug(`POST ${registryUri}/v1/organizations/metadata`);
-      const response = await superagent
-        .post(`${registryUri}/v1/organizations/metadata`)
-        .send({ lastRetiredBlockHeight: height.toString() })
-        .set(maybeAppendRegistryApiKey({ "Content-Type": "application/json" }));
-
-      if (response.status === 403) {
-        throw new Error(
-          "Registry API key is invalid, please check your config.yaml."
-        );
-      }
-
-      const data = response.body;
-
-      if (
-        response.status !== 200 ||
-        data.message !==
-          "Home org currently being updated, will be completed soon."
-      ) {
-        this.logger.fatal(
-          `CRITICAL ERROR: Could not set last processed height in registry.`
-        );
-        return;
-      }
-
-      await wallet.waitForAllTransactionsToConfirm();
-      await utils.waitFor(5000);
-      await waitForRegistryDataSync();
-
-      return data;
-    } catch (error) {
-      this.logger.error(`Could not set last processed height: ${error.message}`);
-
-      // Log additional information if present in the error object
-      if (error.response && error.response.body) {
-        this.logger.error(
-          `Additional error details: ${JSON.stringify(error.response.body)}`
-        );
-        this.logger.error(`Additional error details: ${JSON.stringify(error)}`);
-      }
+  setLastProcessedHeight = async (height, options = {}) => {
+    const { store, key } = this.getCursor(options.cursor);
 
-      return null;
+    if (options.expected !== undefined) {
+      return store.compareAndSet(key, options.expected, height, options);
     }
+
+    return store.set(key, height, options);
   };
 
   /**
@@ -342,48 +521,47 @@ class RegistryApi {
    *
    * @async
    * @function
-   * @param {number} [retry=0] - The retry count.
-   * @returns {Promise<boolean>} Returns a Promise that resolves to true if the token registration is confirmed, or false otherwise.
-   * @throws {Error} Throws an error if the Registry API key is invalid.
+   * @param {Object} [options] - Function options, plus the WaitOptions `signal`, `timeout`, `deadline` and `onProgress`.
+   * @param {number} [options.interval=30000] - Milliseconds between checks, defaults to the pollInterval option if set
+   * @param {number} [options.maxRetries=60] - Checks to make before giving up
+   * @returns {Promise<boolean>} Returns a Promise that resolves to true once the token registration is confirmed.
+   * @throws {SyncTimeoutError} If the registration is not confirmed in time.
+   * @throws {WaitAbortedError} If the wait is aborted.
+   * @throws {CoreRegistryApiError} If the registry cannot be queried.
    */
-  confirmTokenRegistrationOnWarehouse = async (retry = 0) => {
-    if (process.env.NODE_ENV === "test") {
-      return true;
-    }
-
-    if (retry > 60) return false;
-
-    try {
-      await utils.waitFor(30000);
-
-      this.logger.debug(`GET ${registryUri}/v1/staging/hasPendingTransactions`);
-      const response = await superagent
-        .get(`${registryUri}/v1/staging/hasPendingTransactions`)
-        .set(maybeAppendRegistryApiKey());
-
-      if (response.status === 403) {
-        throw new Error(
-          "Registry API key is invalid, please check your config.yaml."
-        );
-      }
+  confirmTokenRegistrationOnWarehouse = async (options = {}) => {
+    const { maxRetries = 60 } = options;
+    const interval = options.interval ?? this.pollInterval ?? 30000;
+    const message = "Token registration was not confirmed on the registry";
+    const wait = utils.createWait("token-registration", options, {
+      service: "registry",
+      method: "GET",
+      url: `${this.transport.getServiceUri("registry")}/v1/staging/hasPendingTransactions`,
+    });
 
-      if (response.body?.confirmed) return true;
+    await wait.sleep(interval, message);
 
-      await utils.waitFor(30000);
-      return confirmTokenRegistrationOnWarehouse(retry + 1);
-    } catch (error) {
-      this.logger.error(
-        `Error confirming token registration on registry: ${error.message}`
-      );
+    while (wait.nextAttempt() <= maxRetries + 1) {
+      const response = await this.request({
+        method: "GET",
+        path: "/v1/staging/hasPendingTransactions",
+        signal: wait.signal,
+        message: "Error confirming token registration on registry",
+      });
 
-      if (error.response?.body) {
-        this.logger.error(
-          `Additional error details: ${JSON.stringify(error.response.body)}`
-        );
+      if (response.body?.confirmed) {
+        wait.progress("confirmed");
+        return true;
       }
 
-      return false;
+      wait.progress("pending-transactions");
+      await wait.sleep(interval, message);
     }
+
+    throw new SyncTimeoutError(
+      `${message} after ${maxRetries} retries`,
+      wait.details
+    );
   };
 
   /**
@@ -393,252 +571,1245 @@ class RegistryApi {
    * @returns {Promise<Object>} The organization metadata
    */
   getOrgMetaData = async (orgUid) => {
-    try {
-      const url = `${registryUri}/v1/organizations/metadata?orgUid=${orgUid}`;
-      this.logger.debug(`GET ${url}`);
-      const response = await superagent
-        .get(url)
-        .set(maybeAppendRegistryApiKey());
-
-      if (response.status === 403) {
-        throw new Error(
-          "Registry API key is invalid, please check your config.yaml."
-        );
-      }
-
-      return response.body;
-    } catch (error) {
-      this.logger.error(`Could not get org metadata: ${error.message}`);
-
-      // Log additional information if present in the error object
-      if (error.response && error.response.body) {
-        this.logger.error(
-          `Additional error details: ${JSON.stringify(error.response.body)}`
-        );
-      }
+    const response = await this.request({
+      method: "GET",
+      path: "/v1/organizations/metadata",
+      query: { orgUid },
+      message: "Could not get org metadata",
+    });
 
-      throw new Error(`Could not get org metadata: ${error}`);
-    }
+    return response.body;
   };
 
   /**
-   * Waits for the registry data to synchronize.
+   * Adds the sync status to an organization listed by CADT.
    *
-   * @param {object} [options] - Function options.
-   * @param {boolean} [options.throwOnEmptyRegistry=false] - Flag to throw error on empty registry.
-   * @returns {Promise<void>}
+   * @param {Object} org - The organization as listed by CADT
+   * @returns {Organization} The organization
    */
-  waitForRegistryDataSync = async (options = {}) => {
-    if (process.env.NODE_ENV === "test") {
-      return;
+  normalizeOrganization = (org) => {
+    const subscribed = Boolean(org.isHome || org.subscribed);
+    let syncStatus = "unknown";
+
+    if (org.orgUid === "PENDING") {
+      syncStatus = "creating";
+    } else if (!subscribed) {
+      syncStatus = "unsubscribed";
+    } else if (org.synced !== undefined) {
+      syncStatus = org.synced ? "synced" : "syncing";
     }
 
-    await mutex.waitForUnlock();
-
-    let isFirstSyncAfterFailure = false;
-
-    if (!mutex.isLocked()) {
-      const releaseMutex = await mutex.acquire();
-      try {
-        const opts = { throwOnEmptyRegistry: false, ...options };
-
-        if (process.env.NODE_ENV === "test") {
-          return;
-        }
+    return {
+      ...org,
+      isHome: Boolean(org.isHome),
+      subscribed,
+      syncStatus,
+      syncRemaining: Number(org.sync_remaining ?? 0),
+    };
+  };
 
-        while (true) {
-          await utils.waitFor(5000);
-
-          const config = this.config.CHIA;
-          const dataLayerConfig = {
-            datalayer_host: config.DATALAYER_HOST,
-            wallet_host: config.WALLET_HOST,
-            certificate_folder_path: config.CERTIFICATE_FOLDER_PATH,
-            allowUnverifiedCert: config.ALLOW_SELF_SIGNED_CERTIFICATES,
-          };
-
-          const datalayer = new Datalayer(dataLayerConfig);
-          const homeOrg = await getHomeOrg();
-
-          if (!homeOrg) {
-            this.logger.warn(
-              "Cannot find the home org from the Registry. Please verify your Registry is running and you have created a Home Organization."
-            );
-            isFirstSyncAfterFailure = true;
-            continue;
-          }
-
-          const onChainRegistryRoot = await datalayer.getRoot({
-            id: homeOrg.registryId,
-          });
+  /**
+   * Lists every organization CADT knows, home org first.
+   *
+   * @param {Object} [options] - Function options.
+   * @param {AbortSignal} [options.signal] - Aborts the request
+   * @returns {Promise<Array<Organization>>} The organizations with their sync status
+   * @throws {CoreRegistryApiError} If CADT cannot be reached
+   */
+  listOrganizations = async (options = {}) => {
+    const response = await this.request({
+      method: "GET",
+      path: "/v1/organizations",
+      signal: options.signal,
+      message: "Could not list organizations",
+    });
 
-          if (!onChainRegistryRoot.confirmed) {
-            this.logger.debug("Waiting for Registry root to confirm");
-            isFirstSyncAfterFailure = true;
-            continue;
-          }
-
-          if (
-            onChainRegistryRoot.hash === constants.emptySingletonHash &&
-            opts.throwOnEmptyRegistry
-          ) {
-            throw new Error(
-              "Registry is empty. Please add some data to run auto retirement task."
-            );
-          }
-
-          if (onChainRegistryRoot.hash !== homeOrg.registryHash) {
-            this.logger.debug(
-              `Waiting for Registry to sync with latest registry root.
-            ${JSON.stringify(
-              {
-                onChainRoot: onChainRegistryRoot.hash,
-                homeOrgRegistryRoot: homeOrg.registryHash,
-              },
-              null,
-              2
-            )}`
-            );
-            isFirstSyncAfterFailure = true;
-            continue;
-          }
-
-          const onChainOrgRoot = await datalayer.getRoot({
-            id: homeOrg.orgUid,
-          });
+    return Object.values(response.body || {})
+      .map(this.normalizeOrganization)
+      .sort((a, b) => Number(b.isHome) - Number(a.isHome));
+  };
 
-          if (!onChainOrgRoot.confirmed) {
-            this.logger.debug("Waiting for Organization root to confirm");
-            continue;
-          }
-
-          if (onChainOrgRoot.hash !== homeOrg.orgHash) {
-            this.logger.debug(
-              `Waiting for Registry to sync with latest organization root. ,
-            ${JSON.stringify(
-              {
-                onChainRoot: onChainOrgRoot.hash,
-                homeOrgRoot: homeOrg.orgHash,
-              },
-              null,
-              2
-            )}`
-            );
-            isFirstSyncAfterFailure = true;
-            continue;
-          }
-
-          // Log the message if conditions are met for the first time after failure
-          if (isFirstSyncAfterFailure) {
-            this.logger.info("CADT is SYNCED! Proceeding with the task.");
-          }
-
-          // Exit the loop if all conditions are met
-          break;
-        }
-      } finally {
-        releaseMutex();
-      }
+  /**
+   * Gets an organization.
+   *
+   * @param {string} orgUid - The organization UID
+   * @returns {Promise<Organization>} The organization with its sync status
+   * @throws {NotFoundError} If CADT does not know the organization
+   */
+  getOrganization = async (orgUid) => {
+    const organizations = await this.listOrganizations();
+    const org = organizations.find((item) => item.orgUid === orgUid);
+
+    if (!org) {
+      throw new NotFoundError(`Organization ${orgUid} is not known to CADT`, {
+        service: "registry",
+      });
     }
+
+    return org;
   };
 
   /**
-   * Gets the tokenized unit by asset ID.
+   * Gets the DataLayer store ids of an organization.
    *
-   * @param {string} assetId - The unique identifier for the asset
-   * @returns {Promise<Object>} The tokenized unit data
+   * @param {string} orgUid - The organization UID
+   * @returns {Promise<{orgUid: string, registryId: string|null, fileStoreId: string|null}>} The organization store, which is the orgUid, the registry store and the file store
+   * @throws {NotFoundError} If CADT does not know the organization
    */
-  getTokenizedUnitByAssetId = async (assetId) => {
-    try {
-      const url = `${registryUri}/v1/units?marketplaceIdentifiers=${assetId}`;
-      this.logger.debug(`GET ${url}`);
-      const response = await superagent
-        .get(url)
-        .set(maybeAppendRegistryApiKey());
-
-      if (response.status === 403) {
-        throw new Error(
-          "Registry API key is invalid, please check your config.yaml."
-        );
-      }
-
-      return response.body;
-    } catch (error) {
-      this.logger.error(
-        `Could not get tokenized unit by asset id: ${error.message}`
-      );
+  getOrganizationStoreIds = async (orgUid) => {
+    const org = await this.getOrganization(orgUid);
 
-      // Log additional information if present in the error object
-      if (error.response && error.response.body) {
-        this.logger.error(
-          `Additional error details: ${JSON.stringify(error.response.body)}`
-        );
-      }
+    return {
+      orgUid: org.orgUid,
+      registryId: org.registryId || null,
+      fileStoreId: org.fileStoreId || null,
+    };
+  };
 
-      throw new Error(`Could not get tokenized unit by asset id: ${error}`);
+  /**
+   * Sends an organization change to CADT.
+   *
+   * @param {Object} request - The request, see HttpTransport#request
+   * @param {Object} [options] - Function options.
+   * @param {boolean} [options.dryRun] - Return the planned request instead of sending it
+   * @returns {Promise<Object>} The response body, or the plan in a dry run
+   */
+  sendOrganizationChange = async (request, options = {}) => {
+    if (this.isDryRun(options)) {
+      return this.planRequest(request);
     }
+
+    const response = await this.request(request);
+    return response.body;
   };
 
   /**
-   * Gets project data by warehouse project ID.
+   * Creates the home organization. CADT creates its DataLayer stores in the
+   * background and lists it with the orgUid "PENDING" until they are
+   * confirmed.
    *
-   * @param {string} warehouseProjectId - The unique identifier for the warehouse project
-   * @returns {Promise<Object>} The project data
+   * @param {Object} organization - The organization.
+   * @param {string} organization.name - The organization name
+   * @param {string} [organization.icon] - The URL of the organization icon
+   * @param {Object} [options] - Function options.
+   * @param {boolean} [options.dryRun] - Return the planned request instead of creating the organization
+   * @returns {Promise<Object>} The response body, or the plan in a dry run
+   * @throws {ValidationError} If the name is missing or CADT already has a home organization
    */
-  getProjectByWarehouseProjectId = async (warehouseProjectId) => {
-    try {
-      const url = `${registryUri}/v1/projects?projectIds=${warehouseProjectId}`;
-      this.logger.debug(`GET ${url}`);
-      const response = await superagent
-        .get(url)
-        .set(maybeAppendRegistryApiKey());
-
-      if (response.status === 403) {
-        throw new Error(
-          "Registry API key is invalid, please check your config.yaml."
-        );
-      }
+  createHomeOrg = async ({ name, icon }, options = {}) => {
+    if (!name) {
+      throw new ValidationError("The home organization needs a name", {
+        service: "registry",
+      });
+    }
 
-      return response.body[0];
-    } catch (error) {
-      this.logger.error(
-        `Could not get corresponding project data: ${error.message}`
+    const organizations = await this.listOrganizations();
+    const homeOrg = organizations.find((org) => org.isHome);
+    if (homeOrg) {
+      throw new ValidationError(
+        `CADT already has the home organization ${homeOrg.orgUid}`,
+        { service: "registry" }
       );
-
-      // Log additional information if present in the error object
-      if (error.response && error.response.body) {
-        this.logger.error(
-          `Additional error details: ${JSON.stringify(error.response.body)}`
-        );
-      }
-
-      throw new Error(`Could not get corresponding project data: ${error}`);
     }
+
+    return this.sendOrganizationChange(
+      {
+        method: "POST",
+        path: "/v1/organizations",
+        body: { name, ...(icon && { icon }) },
+        message: "Could not create the home organization",
+      },
+      options
+    );
   };
 
-  deleteStagingData = () => {
-    return superagent.delete(`${registryUri}/v1/staging/clean`);
+  /**
+   * Imports an organization and subscribes to its stores. CADT syncs the
+   * organization in the background, see listOrganizations for its progress.
+   *
+   * @param {string} orgUid - The organization UID
+   * @param {Object} [options] - Function options.
+   * @param {boolean} [options.dryRun] - Return the planned request instead of importing
+   * @returns {Promise<Object>} The response body, or the plan in a dry run
+   */
+  importOrganization = (orgUid, options = {}) => {
+    return this.sendOrganizationChange(
+      {
+        method: "PUT",
+        path: "/v1/organizations/import",
+        body: { orgUid },
+        message: `Could not import organization ${orgUid}`,
+      },
+      options
+    );
   };
 
-  splitUnit = async ({ unit, amount, beneficiaryName, beneficiaryAddress }) => {
-    this.logger.info(`Splitting unit ${unit.warehouseUnitId} by ${amount}`);
+  /**
+   * Subscribes again to an imported organization.
+   *
+   * @param {string} orgUid - The organization UID
+   * @param {Object} [options] - Function options.
+   * @param {boolean} [options.dryRun] - Return the planned request instead of subscribing
+   * @returns {Promise<Object>} The response body, or the plan in a dry run
+   */
+  subscribeOrganization = (orgUid, options = {}) => {
+    return this.sendOrganizationChange(
+      {
+        method: "PUT",
+        path: "/v1/organizations/subscribe",
+        body: { orgUid },
+        message: `Could not subscribe to organization ${orgUid}`,
+      },
+      options
+    );
+  };
 
-    // Parse the serialNumberBlock
-    const { unitBlockStart, unitBlockEnd } = utils.parseSerialNumber(
-      unit.serialNumberBlock
+  /**
+   * Unsubscribes from an organization. CADT keeps the organization but
+   * stops syncing its stores.
+   *
+   * @param {string} orgUid - The organization UID
+   * @param {Object} [options] - Function options.
+   * @param {boolean} [options.dryRun] - Return the planned request instead of unsubscribing
+   * @returns {Promise<Object>} The response body, or the plan in a dry run
+   */
+  unsubscribeOrganization = (orgUid, options = {}) => {
+    return this.sendOrganizationChange(
+      {
+        method: "PUT",
+        path: "/v1/organizations/unsubscribe",
+        body: { orgUid },
+        message: `Could not unsubscribe from organization ${orgUid}`,
+      },
+      options
     );
+  };
 
-    if (!unitBlockStart && !unitBlockEnd) {
-      console.error("serialNumberBlock is not in the correct format");
-      return;
-    }
+  /**
+   * Drops the synced data of an organization and syncs it again from its
+   * stores.
+   *
+   * @param {string} orgUid - The organization UID
+   * @param {Object} [options] - Function options.
+   * @param {boolean} [options.dryRun] - Return the planned request instead of resyncing
+   * @returns {Promise<Object>} The response body, or the plan in a dry run
+   */
+  resyncOrganization = (orgUid, options = {}) => {
+    return this.sendOrganizationChange(
+      {
+        method: "PUT",
+        path: "/v1/organizations/resync",
+        body: { orgUid },
+        message: `Could not resync organization ${orgUid}`,
+      },
+      options
+    );
+  };
 
-    const totalUnits = parseInt(unitBlockEnd) - parseInt(unitBlockStart) + 1;
+  /**
+   * Compares the home org's registry and organization roots in CADT with the
+   * roots on chain, registry store first.
+   *
+   * @param {Object} homeOrg - The home org, see getHomeOrg
+   * @param {Object} [options] - Function options.
+   * @param {AbortSignal} [options.signal] - Aborts the DataLayer requests in flight
+   * @returns {Promise<Object>} The `status` ("root-unconfirmed", "root-mismatch" or "synced") with the `store`, `onChainRoot` and `homeOrgRoot` of the first store that is not synced, or of the organization store once synced, and `registryEmpty`, true if the confirmed registry root is the empty singleton
+   * @throws {CoreRegistryApiError} If DataLayer cannot be reached
+   */
+  getRootSyncStatus = async (homeOrg, options = {}) => {
+    const stores = [
+      {
+        store: "registry",
+        storeId: homeOrg.registryId,
+        homeOrgRoot: homeOrg.registryHash,
+      },
+      {
+        store: "organization",
+        storeId: homeOrg.orgUid,
+        homeOrgRoot: homeOrg.orgHash,
+      },
+    ];
+    let registryEmpty = false;
+    let roots;
+
+    for (const { store, storeId, homeOrgRoot } of stores) {
+      const onChainRoot = await this.datalayer.getRoot(storeId, {
+        signal: options.signal,
+      });
+      roots = { store, onChainRoot: onChainRoot.hash, homeOrgRoot };
+
+      if (!onChainRoot.confirmed) {
+        return { status: "root-unconfirmed", ...roots, registryEmpty };
+      }
+
+      if (store === "registry") {
+        registryEmpty = onChainRoot.hash === constants.emptySingletonHash;
+      }
+
+      if (onChainRoot.hash !== homeOrgRoot) {
+        return { status: "root-mismatch", ...roots, registryEmpty };
+      }
+    }
+
+    return { status: "synced", ...roots, registryEmpty };
+  };
+
+  /**
+   * Checks that CADT is reachable, accepts the API key and has a home org
+   * that has finished being created.
+   *
+   * @param {Object} [options] - Function options.
+   * @param {number} [options.timeout=10000] - Milliseconds to wait for the answer
+   * @returns {Promise<DependencyHealth>} The result of the check, with the home org's store ids and roots as `details.homeOrg`
+   */
+  checkHealth = (options = {}) => {
+    const { timeout = 10000 } = options;
+
+    return utils.checkDependency(async () => {
+      const response = await this.request({
+        method: "GET",
+        path: "/v1/organizations",
+        timeout: { response: timeout, deadline: timeout },
+        retries: 0,
+        message: "CADT health check failed",
+      });
+      const homeOrg = Object.values(response.body || {}).find(
+        (org) => org.isHome
+      );
+
+      if (!homeOrg) {
+        return { healthy: false, reason: "CADT has no home organization" };
+      }
+
+      const { orgUid, name, registryId, registryHash, orgHash } = homeOrg;
+      const details = {
+        homeOrg: { orgUid, name, registryId, registryHash, orgHash },
+      };
+
+      if (orgUid === "PENDING") {
+        return {
+          healthy: false,
+          reason: "The CADT home organization is still being created",
+          details,
+        };
+      }
+
+      return { healthy: true, details };
+    });
+  };
+
+  /**
+   * Checks that DataLayer is reachable and that the home org's roots in CADT
+   * are confirmed on chain and current.
+   *
+   * @param {Object|null} homeOrg - The home org, see checkHealth; the check is skipped without it
+   * @returns {Promise<DependencyHealth>} The result of the check, with the root sync status as details
+   */
+  checkDataLayerHealth = (homeOrg) => {
+    if (!homeOrg || homeOrg.orgUid === "PENDING") {
+      return Promise.resolve({
+        healthy: false,
+        latencyMs: 0,
+        reason: "Skipped, the home org is needed to check the DataLayer roots",
+        skipped: true,
+      });
+    }
+
+    return utils.checkDependency(async () => {
+      const details = await this.getRootSyncStatus(homeOrg);
+      const reasons = {
+        "root-unconfirmed": `The ${details.store} root is not confirmed on chain`,
+        "root-mismatch": `CADT has not synced the latest ${details.store} root`,
+      };
+
+      return {
+        healthy: details.status === "synced",
+        reason: reasons[details.status],
+        details,
+      };
+    });
+  };
+
+  /**
+   * Waits for the registry data to synchronize: the home org's registry and
+   * organization roots in CADT must match the confirmed roots on chain.
+   *
+   * @param {object} [options] - Function options, plus the WaitOptions `signal`, `timeout`, `deadline` and `onProgress`.
+   * @param {boolean} [options.throwOnEmptyRegistry=false] - Flag to throw error on empty registry.
+   * @param {number} [options.interval=5000] - Milliseconds between checks, defaults to the pollInterval option if set.
+   * @returns {Promise<void>}
+   * @throws {SyncTimeoutError} If the registry does not sync in time.
+   * @throws {WaitAbortedError} If the wait is aborted.
+   */
+  waitForRegistryDataSync = async (options = {}) => {
+    const { throwOnEmptyRegistry = false } = options;
+    const interval = options.interval ?? this.pollInterval ?? 5000;
+    const message = "Registry data did not sync";
+    const wait = utils.createWait("registry-sync", options, {
+      service: "registry",
+    });
+
+    await wait.race(mutex.waitForUnlock(), message);
+
+    if (mutex.isLocked()) {
+      return;
+    }
+
+    const releaseMutex = await mutex.acquire();
+    let isFirstSyncAfterFailure = false;
+
+    try {
+      while (true) {
+        await wait.sleep(interval, message);
+        wait.nextAttempt();
+
+        const homeOrg = await this.getHomeOrg({ signal: wait.signal });
+
+        if (!homeOrg) {
+          this.logger.warn(
+            "Cannot find the home org from the Registry. Please verify your Registry is running and you have created a Home Organization."
+          );
+          wait.progress("home-org-missing");
+          isFirstSyncAfterFailure = true;
+          continue;
+        }
+
+        const { status, ...roots } = await this.getRootSyncStatus(homeOrg, {
+          signal: wait.signal,
+        });
+
+        if (roots.registryEmpty && throwOnEmptyRegistry) {
+          throw new CoreRegistryApiError(
+            "Registry is empty. Please add some data to run auto retirement task.",
+            { service: "registry" }
+          );
+        }
+
+        if (status !== "synced") {
+          const storeName =
+            roots.store === "registry" ? "Registry" : "Organization";
+          this.logger.debug(
+            status === "root-unconfirmed"
+              ? `Waiting for ${storeName} root to confirm`
+              : `Waiting for Registry to sync with latest ${roots.store} root. ${JSON.stringify(
+                  roots
+                )}`
+          );
+          wait.progress(status, roots);
+          isFirstSyncAfterFailure = true;
+          continue;
+        }
+
+        // Log the message if conditions are met for the first time after failure
+        if (isFirstSyncAfterFailure) {
+          this.logger.info("CADT is SYNCED! Proceeding with the task.");
+        }
+
+        wait.progress("synced", roots);
+        break;
+      }
+    } finally {
+      releaseMutex();
+    }
+  };
+
+  /**
+   * Gets the tokenized unit by asset ID.
+   *
+   * @param {string} assetId - The unique identifier for the asset
+   * @returns {Promise<Object>} The tokenized unit data
+   */
+  getTokenizedUnitByAssetId = async (assetId) => {
+    const response = await this.request({
+      method: "GET",
+      path: "/v1/units",
+      query: this.units().param("marketplaceIdentifiers", assetId).toQuery(),
+      message: "Could not get tokenized unit by asset id",
+    });
+
+    return this.validateResponse(response.body, "unitRecord", {
+      path: "/v1/units",
+    });
+  };
+
+  /**
+   * Gets project data by warehouse project ID.
+   *
+   * @param {string} warehouseProjectId - The unique identifier for the warehouse project
+   * @returns {Promise<Object>} The project data
+   */
+  getProjectByWarehouseProjectId = async (warehouseProjectId) => {
+    const response = await this.request({
+      method: "GET",
+      path: "/v1/projects",
+      query: this.projects().param("projectIds", warehouseProjectId).toQuery(),
+      message: "Could not get corresponding project data",
+    });
+
+    this.validateResponse(response.body, "projectRecord", {
+      path: "/v1/projects",
+    });
+
+    return response.body[0];
+  };
+
+  /**
+   * Gets units with their issuance, labels, project and organization. Units
+   * and projects are looked up in batches, so many units cost a few
+   * requests. An asset id finds the units whose marketplaceIdentifier is
+   * stored as given, or in lower case with or without the 0x prefix.
+   *
+   * @param {string|Array<string>} ids - A warehouseUnitId or asset id, or a list of them
+   * @param {Object} [options] - Function options.
+   * @param {number} [options.batchSize=50] - Number of units or projects to look up per request
+   * @returns {Promise<UnitDetails|Array<UnitDetails>>} The details of each id, in the order given
+   * @throws {NotFoundError} If a unit or asset does not exist
+   */
+  getUnitDetails = async (ids, options = {}) => {
+    const { batchSize = 50 } = options;
+    const idList = [...new Set([].concat(ids))];
+    const assetIds = idList.filter((id) => assetIdPattern.test(id));
+    const warehouseUnitIds = idList.filter((id) => !assetIds.includes(id));
+    const units = [];
+
+    for (const batch of chunk(warehouseUnitIds, batchSize)) {
+      units.push(
+        ...(await this.units().where("warehouseUnitId", "in", batch).all())
+      );
+    }
+    // CADT matches the asset id exactly, so ask for each spelling it may have
+    const assetIdVariants = [
+      ...new Set(assetIds.flatMap(utils.getAssetIdVariants)),
+    ];
+    for (const batch of chunk(assetIdVariants, batchSize)) {
+      units.push(
+        ...(await this.units().param("marketplaceIdentifiers", batch).all())
+      );
+    }
+
+    const unitsById = new Map(
+      idList.map((id) => [
+        id,
+        units.filter((unit) =>
+          assetIds.includes(id)
+            ? unit.marketplaceIdentifier &&
+              utils.normalizeAssetId(unit.marketplaceIdentifier) ===
+                utils.normalizeAssetId(id)
+            : unit.warehouseUnitId === id
+        ),
+      ])
+    );
+    const missing = idList.filter((id) => !unitsById.get(id).length);
+    if (missing.length) {
+      throw new NotFoundError(`No unit found for ${missing.join(", ")}`, {
+        service: "registry",
+      });
+    }
+
+    const projectIds = [
+      ...new Set(
+        units.map((unit) => unit.issuance?.warehouseProjectId).filter(Boolean)
+      ),
+    ];
+    const projects = [];
+    for (const batch of chunk(projectIds, batchSize)) {
+      projects.push(
+        ...(await this.projects().param("projectIds", batch).all())
+      );
+    }
+    const organizations = await this.listOrganizations();
+
+    const details = [].concat(ids).map((id) => {
+      const [unit, ...others] = unitsById.get(id);
+      const project =
+        projects.find(
+          (item) =>
+            item.warehouseProjectId === unit.issuance?.warehouseProjectId
+        ) || null;
+
+      return {
+        unit,
+        units: [unit, ...others],
+        issuance: unit.issuance || null,
+        labels: unit.labels || [],
+        project,
+        org: organizations.find((org) => org.orgUid === unit.orgUid) || null,
+      };
+    });
+
+    return Array.isArray(ids) ? details : details[0];
+  };
+
+  /**
+   * Gets a single project, failing if it does not exist.
+   *
+   * @param {string} warehouseProjectId - The warehouse project id
+   * @returns {Promise<Object>} The project with its child records
+   * @throws {NotFoundError} If CADT has no such project
+   */
+  getProject = async (warehouseProjectId) => {
+    const project =
+      await this.getProjectByWarehouseProjectId(warehouseProjectId);
+
+    if (!project) {
+      throw new NotFoundError(`Project ${warehouseProjectId} does not exist`, {
+        service: "registry",
+      });
+    }
+
+    return project;
+  };
 
-    if (amount >= totalUnits) {
-      throw new Error("Amount must be less than total units in the block");
+  /**
+   * Cleans a project object and its child records before sending it.
+   *
+   * @param {Object} project - The project
+   * @returns {Object} The cleaned project
+   */
+  sanitizeProjectForUpdate = (project) => {
+    const cleanRecord = (record) => {
+      const cleaned = { ...record };
+
+      delete cleaned.orgUid;
+      delete cleaned.createdAt;
+      delete cleaned.updatedAt;
+      delete cleaned.timeStaged;
+
+      Object.keys(cleaned).forEach((key) => {
+        if (cleaned[key] === null) {
+          delete cleaned[key];
+        }
+      });
+
+      return cleaned;
+    };
+
+    const cleanedProject = cleanRecord(project);
+    projectChildTables.forEach((table) => {
+      if (Array.isArray(cleanedProject[table])) {
+        cleanedProject[table] = cleanedProject[table].map(cleanRecord);
+      }
+    });
+
+    return cleanedProject;
+  };
+
+  /**
+   * Stages a new project, with any child records it carries.
+   *
+   * @param {Object} project - The project, without a warehouseProjectId
+   * @param {Object} [options] - Function options.
+   * @param {boolean} [options.dryRun] - Return the planned request instead of staging
+   * @returns {Promise<Object>} The response body, or the plan in a dry run
+   * @throws {SchemaValidationError} If the project is not a valid CADT project
+   */
+  createProject = async (project, options = {}) => {
+    const cleanedProject = this.sanitizeProjectForUpdate(project);
+    const request = {
+      method: "POST",
+      path: "/v1/projects",
+      body: cleanedProject,
+      message: "Could not create project",
+    };
+
+    schemas.assertValidPayload(cleanedProject, "project", {
+      service: "registry",
+      method: request.method,
+      url: `${this.transport.getServiceUri("registry")}${request.path}`,
+    });
+
+    if (this.isDryRun(options)) {
+      return this.planRequest(request, [
+        {
+          warehouseProjectId: null,
+          action: "insert",
+          before: null,
+          after: cleanedProject,
+          changes: utils.diffFields({}, cleanedProject),
+        },
+      ]);
+    }
+
+    const response = await this.request(request);
+
+    return response?.body;
+  };
+
+  /**
+   * Stages an update of a project. Child tables that are sent replace the
+   * project's records: records with an `id` are updated, records without
+   * one are added and records left out are deleted.
+   *
+   * @param {Object} project - The project to update
+   * @param {Object} [options] - Function options.
+   * @param {boolean} [options.dryRun] - Return the planned request instead of updating
+   * @param {Object} [options.before] - The current project for the dry run diff, fetched from CADT if omitted
+   * @param {Array<string>} [options.clear=[]] - Fields to send as null, which are otherwise left out
+   * @returns {Promise<Object>} The response body, or the plan in a dry run
+   * @throws {SchemaValidationError} If the updated project is not a valid CADT project
+   */
+  updateProject = async (project, options = {}) => {
+    const cleanedProject = this.sanitizeProjectForUpdate(project);
+    (options.clear || []).forEach((field) => {
+      cleanedProject[field] = null;
+    });
+    const request = {
+      method: "PUT",
+      path: "/v1/projects",
+      body: cleanedProject,
+      message: `Could not update project ${project.warehouseProjectId}`,
+    };
+
+    schemas.assertValidPayload(cleanedProject, "projectUpdate", {
+      service: "registry",
+      method: request.method,
+      url: `${this.transport.getServiceUri("registry")}${request.path}`,
+    });
+
+    if (this.isDryRun(options)) {
+      const before =
+        options.before || (await this.getProject(project.warehouseProjectId));
+
+      return this.planRequest(request, [
+        {
+          warehouseProjectId: project.warehouseProjectId,
+          action: "update",
+          before,
+          after: cleanedProject,
+          changes: utils.diffFields(
+            this.sanitizeProjectForUpdate(before),
+            cleanedProject
+          ),
+        },
+      ]);
+    }
+
+    const response = await this.request(request);
+
+    return response?.body;
+  };
+
+  /**
+   * Stages the deletion of a project and its child records.
+   *
+   * @param {string} warehouseProjectId - The warehouse project id
+   * @param {Object} [options] - Function options.
+   * @param {boolean} [options.dryRun] - Return the planned request instead of deleting
+   * @returns {Promise<Object>} The response body, or the plan in a dry run
+   */
+  deleteProject = async (warehouseProjectId, options = {}) => {
+    const request = {
+      method: "DELETE",
+      path: "/v1/projects",
+      body: { warehouseProjectId },
+      message: `Could not delete project ${warehouseProjectId}`,
+    };
+
+    if (this.isDryRun(options)) {
+      return this.planRequest(request, [
+        {
+          warehouseProjectId,
+          action: "delete",
+          before: await this.getProject(warehouseProjectId),
+          after: null,
+        },
+      ]);
+    }
+
+    const response = await this.request(request);
+
+    return response?.body;
+  };
+
+  /**
+   * Checks that a project child table is known.
+   *
+   * @param {string} table - The child table
+   * @throws {ValidationError} If the table is unknown
+   */
+  assertProjectChildTable = (table) => {
+    if (!projectChildTables.includes(table)) {
+      throw new ValidationError(
+        `Unknown project child table ${table}, expected one of ${projectChildTables.join(", ")}`,
+        { service: "registry" }
+      );
+    }
+  };
+
+  /**
+   * Gets the records of a project child table.
+   *
+   * @param {string} warehouseProjectId - The warehouse project id
+   * @param {string} table - The child table, e.g. "issuances" or "estimations"
+   * @returns {Promise<Array<Object>>} The records
+   * @throws {NotFoundError} If CADT has no such project
+   */
+  getProjectChildren = async (warehouseProjectId, table) => {
+    this.assertProjectChildTable(table);
+    const project = await this.getProject(warehouseProjectId);
+
+    return project[table] || [];
+  };
+
+  /**
+   * Stages a project update replacing the records of a child table.
+   *
+   * @param {string} warehouseProjectId - The warehouse project id
+   * @param {string} table - The child table, e.g. "issuances" or "estimations"
+   * @param {Function} change - Gets the current records and returns the new ones
+   * @param {Object} [options] - See updateProject
+   * @returns {Promise<Object>} The response body, or the plan in a dry run
+   * @throws {NotFoundError} If CADT has no such project
+   * @throws {SchemaValidationError} If a record is invalid
+   */
+  changeProjectChildren = async (
+    warehouseProjectId,
+    table,
+    change,
+    options = {}
+  ) => {
+    this.assertProjectChildTable(table);
+    const project = await this.getProject(warehouseProjectId);
+
+    return this.updateProject(
+      { ...project, [table]: change(project[table] || []) },
+      { ...options, before: project }
+    );
+  };
+
+  /**
+   * Stages a project update replacing every record of a child table.
+   *
+   * @param {string} warehouseProjectId - The warehouse project id
+   * @param {string} table - The child table, e.g. "issuances" or "estimations"
+   * @param {Array<Object>} records - The records, see updateProject
+   * @param {Object} [options] - See updateProject
+   * @returns {Promise<Object>} The response body, or the plan in a dry run
+   */
+  setProjectChildren = (warehouseProjectId, table, records, options = {}) => {
+    return this.changeProjectChildren(
+      warehouseProjectId,
+      table,
+      () => records,
+      options
+    );
+  };
+
+  /**
+   * Stages a project update adding a record to a child table.
+   *
+   * @param {string} warehouseProjectId - The warehouse project id
+   * @param {string} table - The child table, e.g. "issuances" or "estimations"
+   * @param {Object} record - The record, without an id
+   * @param {Object} [options] - See updateProject
+   * @returns {Promise<Object>} The response body, or the plan in a dry run
+   */
+  addProjectChild = (warehouseProjectId, table, record, options = {}) => {
+    return this.changeProjectChildren(
+      warehouseProjectId,
+      table,
+      (records) => [...records, record],
+      options
+    );
+  };
+
+  /**
+   * Stages a project update changing a record of a child table.
+   *
+   * @param {string} warehouseProjectId - The warehouse project id
+   * @param {string} table - The child table, e.g. "issuances" or "estimations"
+   * @param {Object} record - The changed fields, with the `id` of the record
+   * @param {Object} [options] - See updateProject
+   * @returns {Promise<Object>} The response body, or the plan in a dry run
+   * @throws {NotFoundError} If the project has no record with the id
+   */
+  updateProjectChild = (warehouseProjectId, table, record, options = {}) => {
+    return this.changeProjectChildren(
+      warehouseProjectId,
+      table,
+      (records) => {
+        this.assertProjectChild(warehouseProjectId, table, records, record.id);
+        return records.map((item) =>
+          item.id === record.id ? { ...item, ...record } : item
+        );
+      },
+      options
+    );
+  };
+
+  /**
+   * Stages a project update removing a record of a child table.
+   *
+   * @param {string} warehouseProjectId - The warehouse project id
+   * @param {string} table - The child table, e.g. "issuances" or "estimations"
+   * @param {string} id - The id of the record
+   * @param {Object} [options] - See updateProject
+   * @returns {Promise<Object>} The response body, or the plan in a dry run
+   * @throws {NotFoundError} If the project has no record with the id
+   */
+  removeProjectChild = (warehouseProjectId, table, id, options = {}) => {
+    return this.changeProjectChildren(
+      warehouseProjectId,
+      table,
+      (records) => {
+        this.assertProjectChild(warehouseProjectId, table, records, id);
+        return records.filter((item) => item.id !== id);
+      },
+      options
+    );
+  };
+
+  /**
+   * Checks that a child table holds a record.
+   *
+   * @param {string} warehouseProjectId - The warehouse project id
+   * @param {string} table - The child table
+   * @param {Array<Object>} records - The records of the table
+   * @param {string} id - The id of the record
+   * @throws {NotFoundError} If there is no record with the id
+   */
+  assertProjectChild = (warehouseProjectId, table, records, id) => {
+    if (!id || !records.some((item) => item.id === id)) {
+      throw new NotFoundError(
+        `Project ${warehouseProjectId} has no ${table} record ${id}`,
+        { service: "registry" }
+      );
+    }
+  };
+
+  /**
+   * Checks the records of a listing page if the listing has a schema.
+   *
+   * @param {string} path - The listing path
+   * @param {Object} query - The listing query, records are partial if it selects columns
+   * @param {Array<Object>} records - The records of the page
+   * @returns {Array<Object>} The records
+   */
+  validateListing = (path, query, records) => {
+    if (!listingSchemas[path]) {
+      return records;
     }
 
+    return this.validateResponse(records, listingSchemas[path], {
+      path,
+      partial: Boolean(query.columns),
+    });
+  };
+
+  /**
+   * Iterates over every record of a paginated CADT listing, requesting one
+   * page at a time until the last page has been read.
+   *
+   * @param {string} path - The listing path, e.g. "/v1/units"
+   * @param {Object} [query={}] - Query parameters sent with every page
+   * @param {Object} [options] - Function options.
+   * @param {number} [options.pageSize=100] - Number of records to request per page
+   * @param {string} [options.message] - Describes the listing in logs and errors
+   * @yields {Object} The records of the listing, one at a time
+   */
+  async *paginate(path, query = {}, options = {}) {
+    const { pageSize = 100, message = `Could not list ${path}` } = options;
+
+    for (let page = 1; ; page++) {
+      const response = await this.request({
+        method: "GET",
+        path,
+        query: { ...query, page, limit: pageSize },
+        message,
+      });
+
+      // Listings that do not support paging return every record at once
+      if (Array.isArray(response.body)) {
+        yield* this.validateListing(path, query, response.body);
+        return;
+      }
+
+      const { data = [], pageCount = 0 } = response.body || {};
+      yield* this.validateListing(path, query, data);
+
+      if (page >= pageCount || data.length === 0) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Starts a query over the units listing.
+   *
+   * @returns {CadtQuery} The query builder
+   */
+  units = () => {
+    return new CadtQuery(this, "/v1/units");
+  };
+
+  /**
+   * Starts a query over the projects listing.
+   *
+   * @returns {CadtQuery} The query builder
+   */
+  projects = () => {
+    return new CadtQuery(this, "/v1/projects");
+  };
+
+  /**
+   * Iterates over every unit matching a query.
+   *
+   * @param {Object|CadtQuery} [query={}] - CADT unit query parameters, e.g. `{ orgUid, filter, search }`, or a query built with `units()`
+   * @param {Object} [options] - Function options.
+   * @param {number} [options.pageSize=100] - Number of units to request per page
+   * @returns {AsyncGenerator<Object>} The matching units, one at a time
+   */
+  iterateUnits = (query = {}, options = {}) => {
+    const params = query instanceof CadtQuery ? query.toQuery() : query;
+    return this.paginate("/v1/units", params, {
+      ...options,
+      message: "Could not list units",
+    });
+  };
+
+  /**
+   * Iterates over every project matching a query.
+   *
+   * @param {Object|CadtQuery} [query={}] - CADT project query parameters, e.g. `{ orgUid, projectIds, search }`, or a query built with `projects()`
+   * @param {Object} [options] - Function options.
+   * @param {number} [options.pageSize=100] - Number of projects to request per page
+   * @returns {AsyncGenerator<Object>} The matching projects, one at a time
+   */
+  iterateProjects = (query = {}, options = {}) => {
+    const params = query instanceof CadtQuery ? query.toQuery() : query;
+    return this.paginate("/v1/projects", params, {
+      ...options,
+      message: "Could not list projects",
+    });
+  };
+
+  /**
+   * Deletes every staged record, including ones staged by other users.
+   *
+   * @returns {Promise<Object>} The response body
+   */
+  deleteStagingData = async () => {
+    const response = await this.request({
+      method: "DELETE",
+      path: "/v1/staging/clean",
+      message: "Could not delete staging data",
+    });
+
+    return response.body;
+  };
+
+  /**
+   * Gets one page of staged records.
+   *
+   * @param {Object} [query] - Function options.
+   * @param {number} [query.page=1] - The page number
+   * @param {number} [query.limit=100] - The page size
+   * @param {string} [query.type] - Only return staged records of this CADT staging type
+   * @param {string} [query.table] - Only return staged records of this table, e.g. "Units"
+   * @returns {Promise<Object>} The page with `page`, `pageCount` and `data`
+   */
+  listStaging = async ({ page = 1, limit = 100, ...query } = {}) => {
+    const response = await this.request({
+      method: "GET",
+      path: "/v1/staging",
+      query: { ...query, page, limit },
+      message: "Could not list staging data",
+    });
+
+    return response.body;
+  };
+
+  /**
+   * Iterates over every staged record.
+   *
+   * @param {Object} [query={}] - Query parameters, e.g. `{ type, table }`
+   * @param {Object} [options] - See RegistryApi#paginate
+   * @returns {AsyncGenerator<Object>} The staged records, one at a time
+   */
+  iterateStaging = (query = {}, options = {}) => {
+    return this.paginate("/v1/staging", query, {
+      ...options,
+      message: "Could not list staging data",
+    });
+  };
+
+  /**
+   * @typedef {Object} StagedChange
+   * @property {string} uuid - The id of the staged record, e.g. the warehouseUnitId
+   * @property {string} table - The table the record belongs to
+   * @property {string} action - INSERT, UPDATE or DELETE
+   * @property {boolean} committed - True if the record was committed and is waiting to be confirmed
+   * @property {boolean} failedCommit - True if committing the record failed
+   * @property {Object|null} original - The record as it is in the registry
+   * @property {Array<Object>} records - The records the change will write
+   * @property {Array<Object<string, {before: *, after: *}>>} changes - The changed fields of each written record
+   */
+
+  /**
+   * Converts a raw staging record into a typed diff.
+   *
+   * @param {Object} stagingRecord - The staging record returned by CADT
+   * @returns {StagedChange} The typed diff
+   */
+  toStagedChange = (stagingRecord) => {
+    const original = stagingRecord.diff?.original ?? null;
+    const change =
+      stagingRecord.diff?.change ??
+      (typeof stagingRecord.data === "string"
+        ? JSON.parse(stagingRecord.data)
+        : stagingRecord.data);
+    const records = (Array.isArray(change) ? change : [change]).filter(
+      Boolean
+    );
+
+    return {
+      uuid: stagingRecord.uuid,
+      table: stagingRecord.table,
+      action: stagingRecord.action,
+      committed: Boolean(stagingRecord.commited ?? stagingRecord.committed),
+      failedCommit: Boolean(stagingRecord.failedCommit),
+      original,
+      records,
+      changes: records.map((record) =>
+        utils.diffFields(original || {}, record)
+      ),
+    };
+  };
+
+  /**
+   * Gets a typed diff of every staged record.
+   *
+   * @param {Object} [query={}] - Query parameters, e.g. `{ type, table }`
+   * @returns {Promise<Array<StagedChange>>} The staged changes
+   */
+  getStagedChanges = async (query = {}) => {
+    const changes = [];
+    for await (const stagingRecord of this.iterateStaging(query)) {
+      changes.push(this.toStagedChange(stagingRecord));
+    }
+    return changes;
+  };
+
+  /**
+   * Deletes a single staged record.
+   *
+   * @param {string} uuid - The uuid of the staged record
+   * @returns {Promise<Object>} The response body
+   */
+  deleteStagedRecord = async (uuid) => {
+    const response = await this.request({
+      method: "DELETE",
+      path: "/v1/staging",
+      body: { uuid },
+      message: `Could not delete staged record ${uuid}`,
+    });
+
+    return response.body;
+  };
+
+  /**
+   * Moves a staged record whose commit failed back into staging so it can be committed again.
+   *
+   * @param {string} uuid - The uuid of the staged record
+   * @returns {Promise<Object>} The response body
+   */
+  retryStagedRecord = async (uuid) => {
+    const response = await this.request({
+      method: "POST",
+      path: "/v1/staging/retry",
+      body: { uuid },
+      message: `Could not retry staged record ${uuid}`,
+    });
+
+    return response.body;
+  };
+
+  /**
+   * Checks that nothing is staged besides the given records.
+   *
+   * @param {Object} [options] - Function options.
+   * @param {Array<string>} [options.except=[]] - Uuids of staged records that are expected
+   * @returns {Promise<void>}
+   * @throws {ValidationError} If any other record is staged
+   */
+  assertStagingEmpty = async ({ except = [] } = {}) => {
+    const unexpected = [];
+    for await (const stagingRecord of this.iterateStaging()) {
+      if (!except.includes(stagingRecord.uuid)) {
+        unexpected.push(stagingRecord);
+      }
+    }
+
+    if (unexpected.length) {
+      throw new ValidationError(
+        `Staging contains ${unexpected.length} unexpected records: ${unexpected
+          .map(({ table, uuid }) => `${table} ${uuid}`)
+          .join(", ")}`,
+        { service: "registry", responseBody: unexpected }
+      );
+    }
+  };
+
+  /**
+   * Splits a unit in two, retiring the first `amount` units of the block
+   * unless `retire` is false.
+   *
+   * @param {Object} options - Function options.
+   * @param {Object} options.unit - The unit to split
+   * @param {number} options.amount - The number of units in the first record
+   * @param {string} [options.beneficiaryName] - The name of the beneficiary
+   * @param {string} [options.beneficiaryAddress] - The address of the beneficiary
+   * @param {boolean} [options.retire=true] - Retire the first record, otherwise both records keep the status of the unit
+   * @param {boolean} [options.dryRun] - Return the planned request instead of splitting
+   * @returns {Promise<Object>} The response body, or the plan in a dry run
+   * @throws {SchemaValidationError} If the amount or the split records are invalid
+   */
+  splitUnit = async ({
+    unit,
+    amount,
+    beneficiaryName,
+    beneficiaryAddress,
+    retire = true,
+    dryRun,
+  }) => {
+    this.logger.info(`Splitting unit ${unit.warehouseUnitId} by ${amount}`);
+
+    const details = {
+      service: "registry",
+      method: "POST",
+      url: `${this.transport.getServiceUri("registry")}/v1/units/split`,
+    };
+
+    if (!Number.isSafeInteger(amount) || amount <= 0) {
+      throw new SchemaValidationError(
+        `Invalid split amount: ${amount} is not a positive whole number`,
+        {
+          ...details,
+          errors: [
+            { field: "amount", message: "must be a positive whole number" },
+          ],
+        }
+      );
+    }
+
+    // Work out the serial number blocks of both records up front, so a split
+    // that would lose or duplicate serial numbers is never sent
+    const block = utils.parseSerialNumberBlock(unit.serialNumberBlock);
+    const totalUnits = utils.countSerialNumberBlock(block);
+
+    if (BigInt(amount) >= totalUnits) {
+      throw new ValidationError(
+        "Amount must be less than total units in the block",
+        { service: "registry" }
+      );
+    }
+
+    const [splitBlock, remainingBlock] = utils.splitSerialNumberBlock(
+      block,
+      amount
+    );
+    utils.assertSerialNumberPartition(block, [splitBlock, remainingBlock]);
+
     const payload = {
       warehouseUnitId: unit.warehouseUnitId,
       records: [
@@ -646,45 +1817,376 @@ class RegistryApi {
           unitCount: amount,
           marketplace: unit.marketplace,
           marketplaceIdentifier: unit.marketplaceIdentifier,
-          unitStatus: "Retired",
-          unitOwner: beneficiaryName,
-          unitStatusReason: beneficiaryAddress,
+          ...(retire && {
+            unitStatus: "Retired",
+            unitOwner: beneficiaryName,
+            unitStatusReason: beneficiaryAddress,
+          }),
         },
         {
-          unitCount: totalUnits - amount,
+          unitCount: Number(utils.countSerialNumberBlock(remainingBlock)),
           marketplace: unit.marketplace,
           marketplaceIdentifier: unit.marketplaceIdentifier,
         },
       ],
     };
 
+    schemas.assertValidPayload(payload, "unitSplit", details);
+
+    const request = {
+      method: "POST",
+      path: "/v1/units/split",
+      body: payload,
+      message: "Could not split unit on registry",
+    };
+
+    if (this.isDryRun({ dryRun })) {
+      const before = {
+        ...this.sanitizeUnitForUpdate(unit),
+        serialNumberBlock: unit.serialNumberBlock,
+      };
+      const after = payload.records.map((record, index) => ({
+        ...before,
+        ...record,
+        serialNumberBlock: utils.formatSerialNumberBlock(
+          [splitBlock, remainingBlock][index]
+        ),
+      }));
+
+      return this.planRequest(request, [
+        {
+          warehouseUnitId: unit.warehouseUnitId,
+          action: "split",
+          before: unit,
+          after,
+          changes: after.map((record) => utils.diffFields(before, record)),
+        },
+      ]);
+    }
+
+    const response = await this.request(request);
+
+    return response.body;
+  };
+
+  /**
+   * Gets the unit blocks of an asset that can still be retired or
+   * detokenized, in ascending serial number order.
+   *
+   * @param {string} marketplaceIdentifier - The asset id of the tokenized units
+   * @param {Object} [options] - Function options.
+   * @param {Array<string>} [options.excludeWarehouseUnitIds=[]] - Units that must not be used
+   * @returns {Promise<Array<{unit: Object, unitBlockStart: bigint, unitCount: number}>>} The blocks
+   */
+  getAvailableUnitBlocks = async (
+    marketplaceIdentifier,
+    { excludeWarehouseUnitIds = [] } = {}
+  ) => {
+    const unitBlocks = await this.getAssetUnitBlocks(marketplaceIdentifier);
+
+    return unitBlocks
+      .filter(
+        (unit) =>
+          !nonRetirableUnitStatuses.includes(unit.unitStatus) &&
+          !excludeWarehouseUnitIds.includes(unit.warehouseUnitId)
+      )
+      .map((unit) => {
+        const block = utils.parseSerialNumberBlock(unit.serialNumberBlock);
+
+        return {
+          unit,
+          unitBlockStart: block.start,
+          unitCount: Number(utils.countSerialNumberBlock(block)),
+        };
+      })
+      .sort(
+        (a, b) =>
+          (a.unitBlockStart > b.unitBlockStart) -
+            (a.unitBlockStart < b.unitBlockStart) ||
+          a.unit.warehouseUnitId.localeCompare(b.unit.warehouseUnitId)
+      );
+  };
+
+  /**
+   * Works out what became of a journaled retirement. Changes that are no
+   * longer staged were committed if the retired units are retired, or the
+   * split units are gone; otherwise they were discarded and the entry is
+   * removed. A retirement that was still being staged is rolled back, so it
+   * can be retired again from the start.
+   *
+   * @param {JournalEntry} entry - The journal entry
+   * @returns {Promise<string>} "committed", "staged" or "discarded"
+   * @throws {ValidationError} If part of a retirement that was still being staged was committed
+   */
+  resolveJournalEntry = async (entry) => {
+    if (entry.status === "committed") {
+      return "committed";
+    }
+
+    // Retiring a skipped activity explicitly tries it again
+    if (entry.status === "skipped") {
+      await this.retirementJournal.remove(entry.coinId);
+      return "discarded";
+    }
+
+    const stagedUuids = [];
+    for await (const stagingRecord of this.iterateStaging()) {
+      stagedUuids.push(stagingRecord.uuid);
+    }
+
+    if (entry.status === "pending") {
+      return this.discardPendingRetirement(entry, stagedUuids);
+    }
+
+    if (
+      entry.units.every(({ warehouseUnitId }) =>
+        stagedUuids.includes(warehouseUnitId)
+      )
+    ) {
+      return "staged";
+    }
+
+    if (await this.isJournaledUnitApplied(entry.units[0])) {
+      await this.retirementJournal.put({ ...entry, status: "committed" });
+      return "committed";
+    }
+
+    this.logger.warn(
+      `Staged retirement ${entry.coinId} was discarded, retiring it again`
+    );
+    await this.retirementJournal.remove(entry.coinId);
+    return "discarded";
+  };
+
+  /**
+   * Rolls back a retirement that was interrupted while its changes were
+   * being staged, deleting the ones that are still staged.
+   *
+   * @param {JournalEntry} entry - The journal entry, with status "pending"
+   * @param {Array<string>} stagedUuids - The uuids of the staged records
+   * @returns {Promise<string>} "discarded"
+   * @throws {ValidationError} If some of its changes were committed, so retiring it again would retire too much
+   */
+  discardPendingRetirement = async (entry, stagedUuids) => {
+    const applied = [];
+
+    for (const unit of entry.units) {
+      if (stagedUuids.includes(unit.warehouseUnitId)) {
+        await this.deleteStagedRecord(unit.warehouseUnitId);
+      } else if (await this.isJournaledUnitApplied(unit)) {
+        applied.push(unit.warehouseUnitId);
+      }
+    }
+
+    if (applied.length) {
+      throw new ValidationError(
+        `Retirement ${entry.coinId} was partly committed while it was being staged, check units ${applied.join(
+          ", "
+        )} and remove its journal entry before retiring it again`,
+        { service: "registry" }
+      );
+    }
+
+    this.logger.warn(
+      `Retirement ${entry.coinId} was interrupted while being staged, retiring it again`
+    );
+    await this.retirementJournal.remove(entry.coinId);
+    return "discarded";
+  };
+
+  /**
+   * Checks whether the change to a journaled unit was committed.
+   *
+   * @param {Object} journaledUnit - A unit of a journal entry
+   * @param {string} journaledUnit.warehouseUnitId - The unit that was retired or split
+   * @param {string} journaledUnit.action - "retire" or "split"
+   * @returns {Promise<boolean>} Whether the unit is retired, or gone after a split
+   */
+  isJournaledUnitApplied = async ({ warehouseUnitId, action }) => {
+    let unit = null;
     try {
-      this.logger.debug(`POST ${registryUri}/v1/units/split`);
-      const response = await superagent
-        .post(`${registryUri}/v1/units/split`)
-        .send(JSON.stringify(payload))
-        .set(maybeAppendRegistryApiKey({ "Content-Type": "application/json" }));
-
-      if (response.status === 403) {
-        throw new Error(
-          "Registry API key is invalid, please check your config.yaml."
+      unit = await this.getUnit(warehouseUnitId);
+    } catch (error) {
+      if (!(error instanceof NotFoundError)) {
+        throw error;
+      }
+    }
+
+    return action === "split" ? !unit : unit?.unitStatus === "Retired";
+  };
+
+  /**
+   * Marks journaled retirements committed, once their staged changes were.
+   *
+   * @param {Array<string>} coinIds - The coin ids of the retirement activities
+   * @returns {Promise<void>}
+   */
+  markRetirementsCommitted = async (coinIds) => {
+    for (const coinId of coinIds) {
+      const entry = await this.retirementJournal.get(coinId);
+      if (entry && entry.status !== "committed") {
+        await this.retirementJournal.put({ ...entry, status: "committed" });
+      }
+    }
+  };
+
+  /**
+   * Retires an arbitrary amount of an asset across as many of its unit blocks
+   * as needed. Blocks are consumed in ascending serial number order; whole
+   * blocks are retired and the last block is split if only part of it is needed.
+   *
+   * @param {Object} options - Function options.
+   * @param {string} options.marketplaceIdentifier - The asset id of the tokenized units
+   * @param {number} options.amount - The number of units to retire
+   * @param {string} [options.beneficiaryName] - The name of the beneficiary
+   * @param {string} [options.beneficiaryAddress] - The address of the beneficiary
+   * @param {boolean} [options.dryRun] - Plan the retirements and splits instead of staging them
+   * @param {Array<string>} [options.excludeWarehouseUnitIds=[]] - Units that must not be used, e.g. because they already have uncommitted edits
+   * @param {string} [options.coinId] - The coin id of the retirement activity. When given, the retirement is journaled and not made again if the journal shows it was already staged or committed
+   * @param {number} [options.height] - The block height of the retirement activity, kept in the journal
+   * @returns {Promise<Object>} A report of every unit block that was retired or split, with the plan of each in a dry run. `alreadyRetired` is set if the journal shows the retirement was committed before; `resumed` if its changes are still staged
+   */
+  retireAmount = async ({
+    marketplaceIdentifier,
+    amount,
+    beneficiaryName,
+    beneficiaryAddress,
+    dryRun,
+    excludeWarehouseUnitIds = [],
+    coinId,
+    height = null,
+  }) => {
+    if (!Number.isInteger(amount) || amount <= 0) {
+      throw new ValidationError(
+        `Retirement amount must be a positive integer: ${amount}`,
+        { service: "registry" }
+      );
+    }
+
+    const journaled = coinId && !this.isDryRun({ dryRun });
+    if (journaled) {
+      const entry = await this.retirementJournal.get(coinId);
+      const status = entry && (await this.resolveJournalEntry(entry));
+
+      if (status === "committed" || status === "staged") {
+        this.logger.info(
+          `Retirement ${coinId} is already ${status}, not retiring it again`
         );
+        return {
+          marketplaceIdentifier,
+          amount,
+          dryRun: false,
+          coinId,
+          ...(status === "committed"
+            ? { alreadyRetired: true, units: [] }
+            : { resumed: true, units: entry.units }),
+        };
       }
+    }
 
-      return response.body;
-    } catch (error) {
-      this.logger.error(`Could not split unit on registry: ${error.message}`);
+    const retirableBlocks = await this.getAvailableUnitBlocks(
+      marketplaceIdentifier,
+      { excludeWarehouseUnitIds }
+    );
+
+    const availableAmount = retirableBlocks.reduce(
+      (total, block) => total + block.unitCount,
+      0
+    );
+
+    if (amount > availableAmount) {
+      throw new ValidationError(
+        `Cannot retire ${amount} units of asset ${marketplaceIdentifier}, only ${availableAmount} are available`,
+        { service: "registry" }
+      );
+    }
+
+    const report = {
+      marketplaceIdentifier,
+      amount,
+      dryRun: this.isDryRun({ dryRun }),
+      units: [],
+    };
+
+    const journalEntry = journaled && {
+      coinId,
+      height,
+      marketplaceIdentifier,
+      amount,
+      status: "pending",
+      units: [],
+    };
 
-      // Log additional information if present in the error object
-      if (error.response && error.response.body) {
+    let remaining = amount;
+
+    for (const { unit, unitCount } of retirableBlocks) {
+      if (remaining === 0) {
+        break;
+      }
+
+      const action = unitCount <= remaining ? "retire" : "split";
+      const retiredCount = Math.min(unitCount, remaining);
+
+      // Journal each change before staging it, so a crash part way through
+      // leaves no staged change the journal does not know about
+      if (journaled) {
+        journalEntry.units.push({
+          warehouseUnitId: unit.warehouseUnitId,
+          action,
+          amount: retiredCount,
+        });
+        await this.retirementJournal.put(journalEntry);
+      }
+
+      let result;
+
+      try {
+        if (action === "retire") {
+          result = await this.retireUnit(
+            unit,
+            beneficiaryName,
+            beneficiaryAddress,
+            { dryRun }
+          );
+        } else {
+          result = await this.splitUnit({
+            unit,
+            amount: retiredCount,
+            beneficiaryName,
+            beneficiaryAddress,
+            dryRun,
+          });
+        }
+      } catch (error) {
+        const touched = report.units.map((entry) => entry.warehouseUnitId);
         this.logger.error(
-          `Additional error details: ${JSON.stringify(error.response.body)}`
+          `Could not ${action} unit ${unit.warehouseUnitId} while retiring ${amount} units of asset ${marketplaceIdentifier}. Units already staged: ${
+            touched.length ? touched.join(", ") : "none"
+          }`
         );
+        throw error;
       }
 
-      return null;
+      report.units.push({
+        warehouseUnitId: unit.warehouseUnitId,
+        action,
+        amount: retiredCount,
+        ...(report.dryRun && { plan: result }),
+      });
+      remaining -= retiredCount;
     }
+
+    if (journaled) {
+      report.coinId = coinId;
+      await this.retirementJournal.put({
+        ...journalEntry,
+        status: "staged",
+        units: report.units,
+      });
+    }
+
+    return report;
   };
 }
 
-module.exports = RegistryApi;
\ No newline at end of file
+module.exports = RegistryApi;
@@ -1,78 +1,437 @@
-const superagent = require("superagent");
+const HttpTransport = require("./transport");
+const { checkDependency, normalizeAssetId } = require("./utils");
+const { resolveConfig, clientSections } = require("./config");
+const constants = require("./constants");
+const {
+  NotFoundError,
+  UnexpectedResponseError,
+  ValidationError,
+} = require("./errors");
 
-const { generateUriForHostAndPort } = require("../utils");
+const activityModeValues = Object.values(constants.activityModes);
+
+/**
+ * Rejects the positional `(page, limit, minHeight)` arguments the activity
+ * methods took before 2.0.0, which would otherwise be ignored and read every
+ * activity from height 0.
+ *
+ * @param {*} options - The first argument of the method
+ * @param {string} method - The method name, shown in the error
+ * @throws {TypeError} If the argument is not an options object
+ */
+const assertOptionsObject = (options, method) => {
+  if (
+    typeof options !== "object" ||
+    options === null ||
+    Array.isArray(options)
+  ) {
+    throw new TypeError(
+      `${method} takes an options object since 2.0.0, pass { page, limit, fromHeight: minHeight + 1 } instead of (page, limit, minHeight)`
+    );
+  }
+};
+
+/**
+ * @typedef {Object} Activity
+ * @property {string} mode - "TOKENIZATION", "DETOKENIZATION" or "PERMISSIONLESS_RETIREMENT"
+ * @property {string|null} assetId - The asset id of the token
+ * @property {string|null} coinId - The coin id of the activity
+ * @property {number} height - The block height of the activity
+ * @property {number|null} timestamp - The block timestamp in seconds
+ * @property {string|null} beneficiaryName - The beneficiary of a retirement
+ * @property {string|null} beneficiaryAddress - The beneficiary address of a retirement
+ * @property {number} amount - The amount in registry units
+ */
+
+/**
+ * @typedef {Object} ActivityFilter
+ * @property {string|Array<string>} [mode] - The modes to keep, see constants.activityModes
+ * @property {string} [assetId] - Only activities of this asset, with or without the 0x prefix and in any case
+ * @property {string} [beneficiaryName] - Only retirements for this beneficiary
+ * @property {string} [beneficiaryAddress] - Only retirements for this beneficiary address
+ * @property {number} [fromHeight] - Lowest block height included
+ * @property {number} [toHeight] - Highest block height included
+ */
+
+/**
+ * @typedef {Object} TokenSummary
+ * @property {string|null} assetId - The asset id of the token
+ * @property {number} tokenized - The units tokenized
+ * @property {number} detokenized - The units detokenized
+ * @property {number} retired - The units retired
+ * @property {Array<{beneficiaryName: string|null, beneficiaryAddress: string|null, amount: number, retirements: number}>} beneficiaries - The units retired per beneficiary, largest first
+ */
 
 class RetirementExplorerApi {
-  constructor(config, logger) {
-    this.config = config;
+  /**
+   * @param {Object} config - The client config
+   * @param {Object} logger - The logger
+   * @param {Object} [options] - Client options.
+   * @param {HttpTransport} [options.transport] - The transport used to reach the explorer
+   * @throws {ConfigError} If the RETIREMENT_EXPLORER section is invalid
+   */
+  constructor(config, logger, options = {}) {
+    this.config = resolveConfig(config, clientSections["retirement-explorer"]);
     this.logger = logger;
+    this.transport =
+      options.transport || new HttpTransport(this.config, logger, options);
   }
 
-  retirementExplorerUri = generateUriForHostAndPort(
-    this.config.RETIREMENT_EXPLORER.PROTOCOL,
-    this.config.RETIREMENT_EXPLORER.HOST,
-    this.config.RETIREMENT_EXPLORER.PORT
-  );
+  /**
+   * Sends a request to the retirement explorer through the transport.
+   *
+   * @param {Object} request - The request, see HttpTransport#request
+   * @returns {Promise<Object>} The response
+   */
+  request = (request) => {
+    return this.transport.request({
+      service: "retirement-explorer",
+      ...request,
+    });
+  };
+
+  /**
+   * Checks that the explorer is reachable and accepts the API key by reading
+   * a single activity.
+   *
+   * @param {Object} [options] - Function options.
+   * @param {number} [options.timeout=10000] - Milliseconds to wait for the answer
+   * @returns {Promise<DependencyHealth>} The result of the check
+   */
+  checkHealth = (options = {}) => {
+    const { timeout = 10000 } = options;
+
+    return checkDependency(async () => {
+      await this.request({
+        method: "GET",
+        path: "/v1/activities",
+        query: { page: 1, limit: 1 },
+        timeout: { response: timeout, deadline: timeout },
+        retries: 0,
+        message: "Retirement explorer health check failed",
+      });
+      return { healthy: true };
+    });
+  };
+
+  /**
+   * Gets one page of raw activities of every mode from the explorer API,
+   * sorted by block height.
+   *
+   * @param {Object} [options] - Function options.
+   * @param {number} [options.page=1] - Page number
+   * @param {number} [options.limit=100] - Number of activities per page
+   * @param {number} [options.fromHeight] - Lowest block height included
+   * @param {string} [options.sort="asc"] - "asc" or "desc" by block height
+   * @returns {Promise<Array<Object>>} The raw activities on the page
+   * @throws {CoreRegistryApiError} If the explorer cannot be reached or rejects the request.
+   * @throws {UnexpectedResponseError} If the response has no activities list
+   * @throws {TypeError} If called with the positional arguments of earlier versions
+   */
+  getActivities = async (options = {}) => {
+    assertOptionsObject(options, "getActivities");
+    const { activities } = await this.getActivityPage(options);
+    return activities;
+  };
 
   /**
-   * Adds Retirement Explorer API Key to the request headers if available.
-   * @param {Object} headers - Optional headers to extend
-   * @returns {Object} Headers with API Key added if available
+   * Gets one page of raw activities with the total the explorer reports.
+   *
+   * @param {Object} [options] - See getActivities
+   * @returns {Promise<{activities: Array<Object>, total: number|null}>} The raw activities on the page and the number of activities across every page
+   * @throws {CoreRegistryApiError} If the explorer cannot be reached or rejects the request.
+   * @throws {UnexpectedResponseError} If the response has no activities list
    */
-  maybeAppendRetirementExplorerApiKey = (headers = {}) => {
-    if (this.config.RETIREMENT_EXPLORER.API_KEY) {
-      headers["x-api-key"] = this.config.RETIREMENT_EXPLORER.API_KEY;
+  getActivityPage = async (options = {}) => {
+    const { page = 1, limit = 100, fromHeight, sort = "asc" } = options;
+    const response = await this.request({
+      method: "GET",
+      path: "/v1/activities",
+      query: {
+        page,
+        limit,
+        ...(fromHeight !== undefined && { minHeight: Number(fromHeight) }),
+        sort,
+      },
+      message: "Cannot get activities",
+    });
+
+    if (!Array.isArray(response.body?.activities)) {
+      throw new UnexpectedResponseError(
+        "Retirement explorer did not return an activities list",
+        { service: "retirement-explorer", responseBody: response.body }
+      );
     }
-    return headers;
+
+    const total = Number(response.body.total);
+    return {
+      activities: response.body.activities,
+      total: Number.isSafeInteger(total) ? total : null,
+    };
   };
 
   /**
-   * Function to get retirement activities from the explorer API.
+   * Converts a raw explorer activity into an Activity.
    *
-   * @param {number} page - Page number.
-   * @param {number} limit - Number of activities per page.
-   * @param {number} minHeight - Minimum block height to start.
-   * @returns {Promise<Object>} - A promise that resolves to an array of retirement activities.
+   * @param {Object} activity - The raw activity
+   * @returns {Activity} The activity
+   * @throws {UnexpectedResponseError} If the mode, height or amount is missing
    */
-  getRetirementActivities = async (page, limit, minHeight) => {
-    try {
-      this.logger.debug(`GET ${this.retirementExplorerUri}/v1/activities`);
-      const response = await superagent
-        .get(`${this.retirementExplorerUri}/v1/activities`)
-        .query({
-          page,
-          limit,
-          minHeight: Number(minHeight) + 1,
-          sort: "asc",
-        })
-        .set(this.maybeAppendRetirementExplorerApiKey())
-        .timeout({ response: 300000, deadline: 600000 });
-
-      if (response.status === 403) {
-        throw new Error(
-          "Retirement Explorer API key is invalid, please check your config.yaml."
-        );
-      }
+  normalizeActivity = (activity) => {
+    const height = Number(activity?.height);
+    const amountMojos = Number(activity?.amount);
+    const errors = [];
 
-      const activities = response.body?.activities || [];
+    if (!activityModeValues.includes(activity?.mode)) {
+      errors.push({ field: "mode", message: `unknown mode ${activity?.mode}` });
+    }
+    if (!Number.isSafeInteger(height)) {
+      errors.push({ field: "height", message: "must be a block height" });
+    }
+    if (!Number.isFinite(amountMojos)) {
+      errors.push({ field: "amount", message: "must be a number of mojos" });
+    }
 
-      const retirements = activities?.filter(
-        (activity) => activity.mode === "PERMISSIONLESS_RETIREMENT"
+    if (errors.length) {
+      throw new UnexpectedResponseError(
+        `Unexpected retirement explorer activity: ${errors
+          .map(({ field, message }) => `${field} ${message}`)
+          .join("; ")}`,
+        { service: "retirement-explorer", responseBody: activity, errors }
       );
+    }
+
+    return {
+      mode: activity.mode,
+      assetId:
+        activity.token?.asset_id ||
+        activity.cw_unit?.marketplaceIdentifier ||
+        null,
+      coinId: activity.coin_id || null,
+      height,
+      timestamp: activity.timestamp ?? null,
+      beneficiaryName: activity.beneficiary_name || null,
+      beneficiaryAddress: activity.beneficiary_address || null,
+      amount: amountMojos / constants.catMojosPerUnit,
+    };
+  };
+
+  /**
+   * Normalizes raw explorer activities and keeps the ones matching a filter.
+   *
+   * @param {Array<Object>} activities - The raw activities
+   * @param {ActivityFilter} [filter] - The filter, every activity matches if omitted
+   * @returns {Array<Activity>} The matching activities
+   * @throws {ValidationError} If the filter names an unknown mode
+   * @throws {UnexpectedResponseError} If an activity cannot be normalized
+   */
+  filterActivities = (activities, filter = {}) => {
+    const {
+      mode,
+      assetId,
+      beneficiaryName,
+      beneficiaryAddress,
+      fromHeight,
+      toHeight,
+    } = filter;
+    const modes = mode === undefined ? activityModeValues : [mode].flat();
+    const unknownModes = modes.filter(
+      (item) => !activityModeValues.includes(item)
+    );
 
-      return retirements;
-    } catch (error) {
-      this.logger.error("Cannot get retirement activities", error);
+    if (unknownModes.length) {
+      throw new ValidationError(
+        `Unknown activity mode ${unknownModes.join(", ")}, expected one of ${activityModeValues.join(", ")}`,
+        { service: "retirement-explorer" }
+      );
+    }
 
-      // Log additional information if present in the error object
-      if (error.response && error.response.body) {
-        this.logger.error(
-          `Additional error details: ${JSON.stringify(error.response.body)}`
-        );
+    return activities
+      .map(this.normalizeActivity)
+      .filter(
+        (activity) =>
+          modes.includes(activity.mode) &&
+          (assetId === undefined ||
+            (activity.assetId !== null &&
+              normalizeAssetId(activity.assetId) ===
+                normalizeAssetId(assetId))) &&
+          (beneficiaryName === undefined ||
+            activity.beneficiaryName === beneficiaryName) &&
+          (beneficiaryAddress === undefined ||
+            activity.beneficiaryAddress === beneficiaryAddress) &&
+          (fromHeight === undefined || activity.height >= fromHeight) &&
+          (toHeight === undefined || activity.height <= toHeight)
+      );
+  };
+
+  /**
+   * Gets one page of activities from the explorer API, normalized and
+   * filtered. The filter is applied to the page, so a page can hold fewer
+   * activities than the limit while later pages still have matches.
+   *
+   * @param {ActivityFilter} [filter] - The filter, plus the page options of getActivities. Defaults to permissionless retirements.
+   * @returns {Promise<Array<Activity>>} The matching activities on the page
+   * @throws {CoreRegistryApiError} If the explorer cannot be reached or rejects the request.
+   * @throws {UnexpectedResponseError} If the response or an activity is malformed
+   * @throws {TypeError} If called with the positional arguments of earlier versions
+   */
+  getRetirementActivities = async (filter = {}) => {
+    assertOptionsObject(filter, "getRetirementActivities");
+    const {
+      page,
+      limit,
+      sort,
+      mode = constants.activityModes.permissionlessRetirement,
+    } = filter;
+    const activities = await this.getActivities({
+      page,
+      limit,
+      sort,
+      fromHeight: filter.fromHeight,
+    });
+
+    return this.filterActivities(activities, { ...filter, mode });
+  };
+
+  /**
+   * Iterates over every activity matching a filter, requesting one page at a
+   * time in block height order until the explorer has no more activities or
+   * the pages have passed `toHeight`.
+   *
+   * @param {ActivityFilter} [filter] - The filter, every mode is included by default
+   * @param {Object} [options] - Function options.
+   * @param {number} [options.pageSize=100] - Number of activities to request per page
+   * @yields {Activity} The matching activities, one at a time
+   * @throws {CoreRegistryApiError} If the explorer cannot be reached or rejects the request.
+   * @throws {UnexpectedResponseError} If the response or an activity is malformed
+   */
+  async *iterateActivities(filter = {}, options = {}) {
+    const { pageSize = 100 } = options;
+
+    for (let page = 1; ; page++) {
+      const { activities, total } = await this.getActivityPage({
+        page,
+        limit: pageSize,
+        fromHeight: filter.fromHeight,
+      });
+
+      yield* this.filterActivities(activities, filter);
+
+      const lastHeight = Number(activities[activities.length - 1]?.height);
+      if (
+        activities.length < pageSize ||
+        (total !== null && page * pageSize >= total) ||
+        (filter.toHeight !== undefined && lastHeight > filter.toHeight)
+      ) {
+        return;
       }
+    }
+  }
+
+  /**
+   * Gets a single activity by its coin id.
+   *
+   * @param {string} coinId - The coin id of the activity
+   * @param {Object} [options] - Function options.
+   * @param {string} [options.mode] - The mode of the activity, see constants.activityModes
+   * @param {string} [options.warehouseUnitId] - The warehouse unit the activity belongs to
+   * @returns {Promise<Activity>} The activity
+   * @throws {NotFoundError} If the explorer has no such activity
+   * @throws {UnexpectedResponseError} If the activity is malformed
+   */
+  getActivity = async (coinId, options = {}) => {
+    const { mode, warehouseUnitId } = options;
+    const response = await this.request({
+      method: "GET",
+      path: "/v1/activities/activity-record",
+      query: {
+        coin_id: coinId,
+        ...(mode && { action_mode: mode }),
+        ...(warehouseUnitId && { cw_unit_id: warehouseUnitId }),
+      },
+      message: `Cannot get activity ${coinId}`,
+    });
 
-      return [];
+    if (!response.body?.activity) {
+      throw new NotFoundError(`Activity ${coinId} does not exist`, {
+        service: "retirement-explorer",
+        responseBody: response.body,
+      });
     }
+
+    return this.normalizeActivity(response.body.activity);
+  };
+
+  /**
+   * Gets every activity of one asset.
+   *
+   * @param {string} assetId - The asset id of the token
+   * @param {ActivityFilter} [filter] - Narrows the activities further
+   * @param {Object} [options] - See iterateActivities
+   * @returns {Promise<Array<Activity>>} The activities sorted by block height
+   */
+  getAssetActivities = async (assetId, filter = {}, options = {}) => {
+    const activities = [];
+    for await (const activity of this.iterateActivities(
+      { ...filter, assetId },
+      options
+    )) {
+      activities.push(activity);
+    }
+    return activities;
+  };
+
+  /**
+   * Sums the activities of each token: the amounts tokenized, detokenized
+   * and retired, and the amount retired per beneficiary.
+   *
+   * @param {ActivityFilter} [filter] - The activities to sum, e.g. `{ assetId }` for a single token
+   * @param {Object} [options] - See iterateActivities
+   * @returns {Promise<Array<TokenSummary>>} One summary per asset id, sorted by asset id
+   */
+  getTokenSummaries = async (filter = {}, options = {}) => {
+    const summaries = new Map();
+
+    for await (const activity of this.iterateActivities(filter, options)) {
+      if (!summaries.has(activity.assetId)) {
+        summaries.set(activity.assetId, {
+          assetId: activity.assetId,
+          tokenized: 0,
+          detokenized: 0,
+          retired: 0,
+          beneficiaries: new Map(),
+        });
+      }
+
+      const summary = summaries.get(activity.assetId);
+      if (activity.mode === constants.activityModes.tokenization) {
+        summary.tokenized += activity.amount;
+      } else if (activity.mode === constants.activityModes.detokenization) {
+        summary.detokenized += activity.amount;
+      } else {
+        summary.retired += activity.amount;
+
+        const key = `${activity.beneficiaryName}\n${activity.beneficiaryAddress}`;
+        const beneficiary = summary.beneficiaries.get(key) || {
+          beneficiaryName: activity.beneficiaryName,
+          beneficiaryAddress: activity.beneficiaryAddress,
+          amount: 0,
+          retirements: 0,
+        };
+        beneficiary.amount += activity.amount;
+        beneficiary.retirements += 1;
+        summary.beneficiaries.set(key, beneficiary);
+      }
+    }
+
+    return [...summaries.values()]
+      .map((summary) => ({
+        ...summary,
+        beneficiaries: [...summary.beneficiaries.values()].sort(
+          (a, b) => b.amount - a.amount
+        ),
+      }))
+      .sort((a, b) => String(a.assetId).localeCompare(String(b.assetId)));
   };
 }
 
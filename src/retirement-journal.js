@@ -0,0 +1,214 @@
+const fs = require("fs");
+const path = require("path");
+const { getChiaRoot } = require("chia-root-resolver");
+
+/**
+ * @typedef {Object} JournalEntry
+ * @property {string} coinId - The coin id of the retirement activity
+ * @property {number|null} height - The block height of the activity
+ * @property {string} marketplaceIdentifier - The asset id of the retired units
+ * @property {number} amount - The number of units retired
+ * @property {string} status - "pending" while the registry changes are being staged, "staged" once they all are, "committed" once they are committed, "skipped" if the activity can never be retired
+ * @property {string} [reason] - Why a skipped activity cannot be retired
+ * @property {Array<{warehouseUnitId: string, action: string, amount: number}>} units - The unit blocks retired or split, while pending including the one being staged
+ * @property {string} updatedAt - When the entry last changed
+ */
+
+/**
+ * @typedef {Object} RetirementJournal
+ * @property {Function} get - `async (coinId) => JournalEntry|null`
+ * @property {Function} list - `async () => Array<JournalEntry>`
+ * @property {Function} put - `async (entry) => void`, adds or replaces the entry of `entry.coinId`
+ * @property {Function} remove - `async (coinId) => void`
+ * @property {Function} prune - `async (height) => void`, forgets committed entries at or below the height
+ */
+
+/**
+ * Keeps the retirement journal in memory. Retirements are only guarded
+ * against being repeated until the process exits.
+ */
+class MemoryRetirementJournal {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  /**
+   * Gets the entry of a retirement activity.
+   *
+   * @param {string} coinId - The coin id of the activity
+   * @returns {Promise<JournalEntry|null>} The entry or null if the activity is not journaled
+   */
+  get = async (coinId) => {
+    const entry = this.entries.get(coinId);
+    return entry ? structuredClone(entry) : null;
+  };
+
+  /**
+   * Gets every entry, e.g. to find the changes left in staging by a run that
+   * did not finish.
+   *
+   * @returns {Promise<Array<JournalEntry>>} The entries
+   */
+  list = async () => {
+    return [...this.entries.values()].map((entry) => structuredClone(entry));
+  };
+
+  /**
+   * Adds or replaces the entry of a retirement activity.
+   *
+   * @param {JournalEntry} entry - The entry
+   * @returns {Promise<void>}
+   */
+  put = async (entry) => {
+    this.entries.set(entry.coinId, {
+      ...structuredClone(entry),
+      updatedAt: new Date().toISOString(),
+    });
+  };
+
+  /**
+   * Removes the entry of a retirement activity, e.g. once its staged changes
+   * were discarded.
+   *
+   * @param {string} coinId - The coin id of the activity
+   * @returns {Promise<void>}
+   */
+  remove = async (coinId) => {
+    this.entries.delete(coinId);
+  };
+
+  /**
+   * Forgets the committed entries at or below a block height, once the last
+   * processed height has moved past them.
+   *
+   * @param {number} height - The last processed height
+   * @returns {Promise<void>}
+   */
+  prune = async (height) => {
+    for (const [coinId, entry] of this.entries) {
+      if (entry.status === "committed" && entry.height <= height) {
+        this.entries.delete(coinId);
+      }
+    }
+  };
+}
+
+/**
+ * Gets the default location of the journal file.
+ *
+ * @returns {string} The file path
+ */
+const getDefaultJournalPath = () => {
+  return path.join(getChiaRoot(), "core-registry", "retirement-journal.json");
+};
+
+/**
+ * Keeps the retirement journal in a JSON file, so retirements are not
+ * repeated after a crash or restart. The file is read on first use and
+ * replaced atomically on every change.
+ */
+class FileRetirementJournal {
+  /**
+   * @param {string} [file] - The journal file, defaults to CHIA_ROOT/core-registry/retirement-journal.json
+   */
+  constructor(file = getDefaultJournalPath()) {
+    this.file = file;
+    this.journal = new MemoryRetirementJournal();
+    this.loaded = null;
+  }
+
+  /**
+   * Reads the journal file into memory.
+   *
+   * @returns {Promise<void>}
+   */
+  readFile = async () => {
+    let content;
+    try {
+      content = JSON.parse(await fs.promises.readFile(this.file, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return;
+      }
+      throw error;
+    }
+
+    for (const entry of Object.values(content.entries || {})) {
+      this.journal.entries.set(entry.coinId, entry);
+    }
+  };
+
+  /**
+   * Reads the journal file on first use.
+   *
+   * @returns {Promise<void>}
+   */
+  load = () => {
+    if (!this.loaded) {
+      this.loaded = this.readFile().catch((error) => {
+        this.loaded = null;
+        throw error;
+      });
+    }
+    return this.loaded;
+  };
+
+  /**
+   * Writes the journal file.
+   *
+   * @returns {Promise<void>}
+   */
+  flush = async () => {
+    const tempFile = `${this.file}.${process.pid}.tmp`;
+    const content = {
+      version: 1,
+      entries: Object.fromEntries(this.journal.entries),
+    };
+
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.promises.writeFile(tempFile, JSON.stringify(content, null, 2));
+    await fs.promises.rename(tempFile, this.file);
+  };
+
+  /** See MemoryRetirementJournal#get */
+  get = async (coinId) => {
+    await this.load();
+    return this.journal.get(coinId);
+  };
+
+  /** See MemoryRetirementJournal#list */
+  list = async () => {
+    await this.load();
+    return this.journal.list();
+  };
+
+  /** See MemoryRetirementJournal#put */
+  put = async (entry) => {
+    await this.load();
+    await this.journal.put(entry);
+    await this.flush();
+  };
+
+  /** See MemoryRetirementJournal#remove */
+  remove = async (coinId) => {
+    await this.load();
+    await this.journal.remove(coinId);
+    await this.flush();
+  };
+
+  /** See MemoryRetirementJournal#prune */
+  prune = async (height) => {
+    await this.load();
+    const size = this.journal.entries.size;
+    await this.journal.prune(height);
+    if (this.journal.entries.size !== size) {
+      await this.flush();
+    }
+  };
+}
+
+module.exports = {
+  MemoryRetirementJournal,
+  FileRetirementJournal,
+  getDefaultJournalPath,
+};
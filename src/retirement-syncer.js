@@ -0,0 +1,329 @@
+const constants = require("./constants");
+const { ValidationError, UnexpectedResponseError } = require("./errors");
+
+/**
+ * Syncs permissionless retirements from the Retirement Explorer into CADT.
+ *
+ * The last processed block height is stored in the home org metadata and is
+ * only moved forward once the retirements up to that height have been
+ * committed, so a run can be stopped or crash at any point and the next run
+ * resumes from the last committed height. Every retirement is also recorded
+ * in the registry's retirement journal by coin id, so activities that were
+ * committed before a crash moved the height are not retired again.
+ *
+ * Activities that can never be retired, e.g. of an unknown asset or for a
+ * fraction of a unit, are journaled as "skipped" with the reason and passed
+ * over, so they do not hold the height back. They stay in the journal for
+ * an operator to review.
+ */
+class RetirementSyncer {
+  /**
+   * @param {RegistryApi} registry - The registry client
+   * @param {RetirementExplorerApi} retirementExplorerApi - The retirement explorer client
+   * @param {Object} logger - The logger
+   * @param {Object} [options] - Syncer options.
+   * @param {number} [options.pageSize=100] - Number of activities to request per explorer page
+   * @param {number} [options.batchSize=10] - Number of staged unit records to collect before each commit
+   */
+  constructor(registry, retirementExplorerApi, logger, options = {}) {
+    this.registry = registry;
+    this.retirementExplorerApi = retirementExplorerApi;
+    this.logger = logger;
+    this.options = { pageSize: 100, batchSize: 10, ...options };
+    this.currentRun = null;
+    this.stopRequested = false;
+  }
+
+  /**
+   * Fetches every retirement above the given block height.
+   *
+   * @param {number} minHeight - The last processed block height
+   * @returns {Promise<Array<Activity>>} The retirements sorted by block height
+   */
+  getPendingRetirements = async (minHeight) => {
+    const retirements = [];
+
+    for await (const activity of this.retirementExplorerApi.iterateActivities(
+      {
+        fromHeight: Number(minHeight) + 1,
+        mode: constants.activityModes.permissionlessRetirement,
+      },
+      { pageSize: this.options.pageSize }
+    )) {
+      retirements.push(activity);
+    }
+
+    return retirements.sort((a, b) => a.height - b.height);
+  };
+
+  /**
+   * Commits the staged retirements and marks them committed in the journal.
+   *
+   * @param {Array<string>} stagedUuids - The staged records of the retirements
+   * @param {Array<string>} coinIds - The coin ids of the retirements
+   * @returns {Promise<void>}
+   */
+  commit = async (stagedUuids, coinIds) => {
+    if (stagedUuids.length) {
+      await this.registry.commitStagingData({ expectedUuids: stagedUuids });
+    }
+    await this.registry.markRetirementsCommitted(coinIds);
+  };
+
+  /**
+   * Commits the staged retirements and moves the cursor to the given height.
+   *
+   * @param {number} height - The highest block height included in the commit
+   * @param {Array<string>} stagedUuids - The staged records of the retirements
+   * @param {Array<string>} coinIds - The coin ids of the retirements
+   * @returns {Promise<void>}
+   */
+  checkpoint = async (height, stagedUuids, coinIds) => {
+    await this.commit(stagedUuids, coinIds);
+    await this.registry.setLastProcessedHeight(height);
+    await this.registry.retirementJournal.prune(height);
+
+    this.logger.info(`Retirements synced up to block height ${height}`);
+  };
+
+  /**
+   * Retires every activity above the last processed height, committing at
+   * block height boundaries. Resolves once the explorer has nothing left or
+   * a stop was requested.
+   *
+   * @returns {Promise<Object>} A summary of the run
+   */
+  run = () => {
+    if (!this.currentRun) {
+      this.stopRequested = false;
+      this.currentRun = this.sync().finally(() => {
+        this.currentRun = null;
+      });
+    }
+
+    return this.currentRun;
+  };
+
+  /**
+   * Requests the current run to stop at the next checkpoint.
+   *
+   * @returns {Promise<Object|undefined>} Resolves with the run summary once it has stopped
+   */
+  stop = async () => {
+    this.stopRequested = true;
+    return this.currentRun || undefined;
+  };
+
+  /**
+   * Deletes the retirements staged since the last commit, after one failed.
+   *
+   * @param {Array<string>} stagedUuids - The staged records of the retirements
+   * @param {Array<string>} coinIds - The coin ids of the retirements
+   * @param {Object} summary - The summary of the pass
+   * @returns {Promise<void>}
+   */
+  discard = async (stagedUuids, coinIds, summary) => {
+    if (!stagedUuids.length) {
+      return;
+    }
+
+    this.logger.warn(
+      `Discarding ${stagedUuids.length} staged retirements above block height ${summary.lastProcessedHeight}`
+    );
+    for (const uuid of stagedUuids) {
+      await this.registry.deleteStagedRecord(uuid);
+    }
+    for (const coinId of coinIds) {
+      await this.registry.retirementJournal.remove(coinId);
+    }
+  };
+
+  /**
+   * Gets the units of the journaled retirements that were staged but not
+   * committed.
+   *
+   * @returns {Promise<Array<string>>} The warehouseUnitIds
+   */
+  getJournaledUuids = async () => {
+    const entries = await this.registry.retirementJournal.list();
+
+    return entries
+      .filter((entry) => entry.status !== "committed")
+      .flatMap((entry) => entry.units.map((unit) => unit.warehouseUnitId));
+  };
+
+  /**
+   * Checks whether an activity can be retired in CADT at all.
+   *
+   * @param {Activity} activity - The retirement activity
+   * @returns {string|null} Why it cannot be retired, null if it can
+   */
+  getSkipReason = (activity) => {
+    if (!activity.assetId) {
+      return "the activity has no asset id";
+    }
+
+    // CADT retires whole units, a fraction cannot be rounded either way
+    // without retiring more or less than the beneficiary did
+    if (!Number.isInteger(activity.amount) || activity.amount <= 0) {
+      return `${activity.amount} is not a whole number of units`;
+    }
+
+    return null;
+  };
+
+  /**
+   * Passes over an activity that can never be retired, journaling it as
+   * skipped so later runs pass over it too.
+   *
+   * @param {Activity} activity - The retirement activity
+   * @param {string} reason - Why it cannot be retired
+   * @returns {Promise<Object>} The skipped activity with the reason
+   */
+  skip = async (activity, reason) => {
+    this.logger.error(
+      `Skipping retirement ${activity.coinId} at block height ${activity.height}: ${reason}`
+    );
+
+    if (activity.coinId) {
+      await this.registry.retirementJournal.put({
+        coinId: activity.coinId,
+        height: activity.height,
+        marketplaceIdentifier: activity.assetId,
+        amount: activity.amount,
+        status: "skipped",
+        reason,
+        units: [],
+      });
+    }
+
+    return { ...activity, reason };
+  };
+
+  /**
+   * Performs a single sync pass. Use `run` to guard against concurrent passes.
+   *
+   * @returns {Promise<Object>} A summary of the pass, with the `reports` of the retirements and the `skipped` activities with the reason of each
+   * @throws {UnexpectedResponseError} If CADT has no home org to read the last processed height from
+   */
+  sync = async () => {
+    const startHeight = await this.registry.getLastProcessedHeight();
+    if (startHeight === null) {
+      throw new UnexpectedResponseError(
+        "Could not get the last processed height from registry",
+        { service: "registry" }
+      );
+    }
+
+    // Never commit edits someone else left in staging along with ours. Edits
+    // a previous run staged and journaled are resumed by retireAmount
+    await this.registry.assertStagingEmpty({
+      except: await this.getJournaledUuids(),
+    });
+
+    const retirements = await this.getPendingRetirements(startHeight);
+    const summary = {
+      startHeight,
+      lastProcessedHeight: startHeight,
+      reports: [],
+      skipped: [],
+      stopped: false,
+    };
+
+    this.logger.info(
+      `Found ${retirements.length} retirements above block height ${startHeight}`
+    );
+
+    let stagedUuids = [];
+    let coinIds = [];
+
+    for (let i = 0; i < retirements.length; i++) {
+      const activity = retirements[i];
+      const { height, coinId } = activity;
+      const entry = coinId
+        ? await this.registry.retirementJournal.get(coinId)
+        : null;
+      const skipReason =
+        entry?.status === "skipped"
+          ? entry.reason
+          : this.getSkipReason(activity);
+      let report = null;
+
+      if (skipReason) {
+        summary.skipped.push(await this.skip(activity, skipReason));
+      } else {
+        try {
+          report = await this.registry.retireAmount({
+            marketplaceIdentifier: activity.assetId,
+            amount: activity.amount,
+            beneficiaryName: activity.beneficiaryName,
+            beneficiaryAddress: activity.beneficiaryAddress,
+            // CADT only lists committed units, so skip the ones staged in this batch
+            excludeWarehouseUnitIds: stagedUuids,
+            coinId,
+            height,
+          });
+        } catch (error) {
+          // retireAmount journals every change before staging it, so an
+          // activity without an entry was rejected before anything was staged
+          if (
+            error instanceof ValidationError &&
+            coinId &&
+            !(await this.registry.retirementJournal.get(coinId))
+          ) {
+            summary.skipped.push(await this.skip(activity, error.message));
+          } else {
+            await this.discard(stagedUuids, coinIds, summary);
+            throw error;
+          }
+        }
+      }
+
+      if (report) {
+        summary.reports.push(report);
+        stagedUuids.push(...report.units.map((unit) => unit.warehouseUnitId));
+        if (coinId) {
+          coinIds.push(coinId);
+        }
+      }
+
+      // The remainder of a split only exists once the split is committed, so
+      // later retirements of the asset could not use it
+      const hasSplit = Boolean(
+        report?.units.some((unit) => unit.action === "split")
+      );
+
+      // Only checkpoint once every activity at this height has been staged
+      const nextHeight = retirements[i + 1]?.height;
+      if (nextHeight === height) {
+        if (hasSplit) {
+          await this.commit(stagedUuids, coinIds);
+          stagedUuids = [];
+          coinIds = [];
+        }
+        continue;
+      }
+
+      if (
+        hasSplit ||
+        stagedUuids.length >= this.options.batchSize ||
+        i === retirements.length - 1 ||
+        this.stopRequested
+      ) {
+        await this.checkpoint(height, stagedUuids, coinIds);
+        summary.lastProcessedHeight = height;
+        stagedUuids = [];
+        coinIds = [];
+      }
+
+      if (this.stopRequested) {
+        summary.stopped = i < retirements.length - 1;
+        break;
+      }
+    }
+
+    return summary;
+  };
+}
+
+module.exports = RetirementSyncer;
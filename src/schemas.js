@@ -0,0 +1,501 @@
+const {
+  ValidationError,
+  SchemaValidationError,
+  UnexpectedResponseError,
+} = require("./errors");
+
+/**
+ * @typedef {Object} FieldSpec
+ * @property {string} type - One of string, integer, number, boolean, date, object or array
+ * @property {Array<*>} [enum] - The allowed values
+ * @property {number} [min] - The smallest allowed number
+ * @property {number} [max] - The largest allowed number
+ * @property {number} [minItems] - The fewest allowed array items
+ * @property {string} [schema] - Name of the schema objects must match
+ * @property {string} [items] - Name of the schema array items must match
+ */
+
+/**
+ * @typedef {Object} Schema
+ * @property {Object<string, FieldSpec>} fields - The known fields. Unknown fields are allowed, CADT adds fields over time.
+ * @property {Array<string>} required - Fields that must be present and not null
+ */
+
+const unitStatuses = [
+  "Held",
+  "Retired",
+  "Cancelled",
+  "Expired",
+  "Buffer",
+  "Exported",
+  "Pending Export",
+];
+
+const recordFields = {
+  orgUid: { type: "string" },
+  createdAt: { type: "date" },
+  updatedAt: { type: "date" },
+};
+
+const issuanceFields = {
+  ...recordFields,
+  id: { type: "string" },
+  warehouseProjectId: { type: "string" },
+  startDate: { type: "date" },
+  endDate: { type: "date" },
+  verificationApproach: { type: "string" },
+  verificationReportDate: { type: "date" },
+  verificationBody: { type: "string" },
+};
+
+const labelFields = {
+  ...recordFields,
+  id: { type: "string" },
+  warehouseProjectId: { type: "string" },
+  labelType: { type: "string" },
+  label: { type: "string" },
+  creditingPeriodStartDate: { type: "date" },
+  creditingPeriodEndDate: { type: "date" },
+  validityPeriodStartDate: { type: "date" },
+  validityPeriodEndDate: { type: "date" },
+  unitQuantity: { type: "integer", min: 0 },
+  labelLink: { type: "string" },
+};
+
+const projectLocationFields = {
+  ...recordFields,
+  id: { type: "string" },
+  warehouseProjectId: { type: "string" },
+  country: { type: "string" },
+  inCountryRegion: { type: "string" },
+  geographicIdentifier: { type: "string" },
+  fileId: { type: "string" },
+};
+
+const projectRatingFields = {
+  ...recordFields,
+  id: { type: "string" },
+  warehouseProjectId: { type: "string" },
+  ratingType: { type: "string" },
+  ratingRangeHighest: { type: "string" },
+  ratingRangeLowest: { type: "string" },
+  rating: { type: "string" },
+  ratingLink: { type: "string" },
+};
+
+const coBenefitFields = {
+  ...recordFields,
+  id: { type: "string" },
+  warehouseProjectId: { type: "string" },
+  cobenefit: { type: "string" },
+};
+
+const relatedProjectFields = {
+  ...recordFields,
+  id: { type: "string" },
+  warehouseProjectId: { type: "string" },
+  relatedProjectId: { type: "string" },
+  relationshipType: { type: "string" },
+  registry: { type: "string" },
+};
+
+const estimationFields = {
+  ...recordFields,
+  id: { type: "string" },
+  warehouseProjectId: { type: "string" },
+  creditingPeriodStart: { type: "date" },
+  creditingPeriodEnd: { type: "date" },
+  unitCount: { type: "integer", min: 0 },
+};
+
+const unitFields = {
+  ...recordFields,
+  warehouseUnitId: { type: "string" },
+  issuanceId: { type: "string" },
+  projectLocationId: { type: "string" },
+  unitOwner: { type: "string" },
+  countryJurisdictionOfOwner: { type: "string" },
+  inCountryJurisdictionOfOwner: { type: "string" },
+  serialNumberBlock: { type: "string" },
+  serialNumberPattern: { type: "string" },
+  vintageYear: { type: "integer", min: 1900, max: 3000 },
+  unitType: { type: "string" },
+  marketplace: { type: "string" },
+  marketplaceLink: { type: "string" },
+  marketplaceIdentifier: { type: "string" },
+  unitTags: { type: "string" },
+  unitStatus: { type: "string", enum: unitStatuses },
+  unitStatusReason: { type: "string" },
+  unitRegistryLink: { type: "string" },
+  correspondingAdjustmentDeclaration: { type: "string" },
+  correspondingAdjustmentStatus: { type: "string" },
+  unitCount: { type: "integer", min: 1 },
+  issuance: { type: "object", schema: "issuance" },
+  labels: { type: "array", items: "label" },
+};
+
+const projectFields = {
+  ...recordFields,
+  warehouseProjectId: { type: "string" },
+  currentRegistry: { type: "string" },
+  projectId: { type: "string" },
+  originProjectId: { type: "string" },
+  registryOfOrigin: { type: "string" },
+  program: { type: "string" },
+  projectName: { type: "string" },
+  projectLink: { type: "string" },
+  projectDeveloper: { type: "string" },
+  sector: { type: "string" },
+  projectType: { type: "string" },
+  projectTags: { type: "string" },
+  coveredByNDC: { type: "string" },
+  ndcInformation: { type: "string" },
+  projectStatus: { type: "string" },
+  projectStatusDate: { type: "date" },
+  unitMetric: { type: "string" },
+  methodology: { type: "string" },
+  methodology2: { type: "string" },
+  validationBody: { type: "string" },
+  validationDate: { type: "date" },
+  description: { type: "string" },
+  issuances: { type: "array", items: "issuance" },
+  labels: { type: "array", items: "label" },
+  projectLocations: { type: "array", items: "projectLocation" },
+  projectRatings: { type: "array", items: "projectRating" },
+  coBenefits: { type: "array", items: "coBenefit" },
+  relatedProjects: { type: "array", items: "relatedProject" },
+  estimations: { type: "array", items: "estimation" },
+};
+
+// Issuances sent with a project are linked to it by CADT
+const projectPayloadFields = {
+  ...projectFields,
+  issuances: { type: "array", items: "projectIssuance" },
+};
+
+const projectRequiredFields = [
+  "projectId",
+  "originProjectId",
+  "registryOfOrigin",
+  "projectName",
+  "projectLink",
+  "projectDeveloper",
+  "sector",
+  "projectType",
+  "coveredByNDC",
+  "projectStatus",
+  "projectStatusDate",
+  "unitMetric",
+  "methodology",
+];
+
+/**
+ * The CADT record schemas, keyed by name. Record schemas describe what CADT
+ * returns, the others what this client sends.
+ *
+ * @type {Object<string, Schema>}
+ */
+const schemas = {
+  issuance: {
+    fields: issuanceFields,
+    required: [
+      "warehouseProjectId",
+      "startDate",
+      "endDate",
+      "verificationApproach",
+      "verificationReportDate",
+      "verificationBody",
+    ],
+  },
+  projectIssuance: {
+    fields: issuanceFields,
+    required: [
+      "startDate",
+      "endDate",
+      "verificationApproach",
+      "verificationReportDate",
+      "verificationBody",
+    ],
+  },
+  label: {
+    fields: labelFields,
+    required: [
+      "labelType",
+      "label",
+      "creditingPeriodStartDate",
+      "creditingPeriodEndDate",
+      "validityPeriodStartDate",
+      "validityPeriodEndDate",
+      "unitQuantity",
+      "labelLink",
+    ],
+  },
+  projectLocation: {
+    fields: projectLocationFields,
+    required: ["country", "geographicIdentifier"],
+  },
+  projectRating: {
+    fields: projectRatingFields,
+    required: [
+      "ratingType",
+      "ratingRangeHighest",
+      "ratingRangeLowest",
+      "rating",
+      "ratingLink",
+    ],
+  },
+  coBenefit: {
+    fields: coBenefitFields,
+    required: ["cobenefit"],
+  },
+  relatedProject: {
+    fields: relatedProjectFields,
+    required: [],
+  },
+  estimation: {
+    fields: estimationFields,
+    required: ["creditingPeriodStart", "creditingPeriodEnd", "unitCount"],
+  },
+  unitRecord: {
+    fields: unitFields,
+    required: [
+      "warehouseUnitId",
+      "orgUid",
+      "serialNumberBlock",
+      "unitStatus",
+      "unitCount",
+    ],
+  },
+  unitUpdate: {
+    fields: unitFields,
+    required: [
+      "warehouseUnitId",
+      "countryJurisdictionOfOwner",
+      "vintageYear",
+      "unitType",
+      "unitStatus",
+      "unitRegistryLink",
+      "correspondingAdjustmentDeclaration",
+      "correspondingAdjustmentStatus",
+    ],
+  },
+  unitSplit: {
+    fields: {
+      warehouseUnitId: { type: "string" },
+      records: { type: "array", items: "unitSplitRecord", minItems: 2 },
+    },
+    required: ["warehouseUnitId", "records"],
+  },
+  unitSplitRecord: {
+    fields: {
+      unitCount: { type: "integer", min: 1 },
+      unitOwner: { type: "string" },
+      unitStatus: { type: "string", enum: unitStatuses },
+      unitStatusReason: { type: "string" },
+      marketplace: { type: "string" },
+      marketplaceLink: { type: "string" },
+      marketplaceIdentifier: { type: "string" },
+      countryJurisdictionOfOwner: { type: "string" },
+      inCountryJurisdictionOfOwner: { type: "string" },
+    },
+    required: ["unitCount"],
+  },
+  projectRecord: {
+    fields: projectFields,
+    required: ["warehouseProjectId", "orgUid", "projectId", "projectName"],
+  },
+  project: {
+    fields: projectPayloadFields,
+    required: projectRequiredFields,
+  },
+  projectUpdate: {
+    fields: projectPayloadFields,
+    required: ["warehouseProjectId", ...projectRequiredFields],
+  },
+};
+
+const typeChecks = {
+  string: (value) => typeof value === "string",
+  integer: (value) => Number.isSafeInteger(value),
+  number: (value) => typeof value === "number" && Number.isFinite(value),
+  boolean: (value) => typeof value === "boolean",
+  date: (value) =>
+    (value instanceof Date || typeof value === "string") &&
+    !Number.isNaN(new Date(value).getTime()),
+  object: (value) =>
+    typeof value === "object" && value !== null && !Array.isArray(value),
+  array: (value) => Array.isArray(value),
+};
+
+const typeNames = {
+  string: "a string",
+  integer: "a whole number",
+  number: "a number",
+  boolean: "a boolean",
+  date: "a date",
+  object: "an object",
+  array: "an array",
+};
+
+/**
+ * Gets a schema by name.
+ *
+ * @param {string} name - The schema name
+ * @returns {Schema} The schema
+ * @throws {ValidationError} If there is no schema with this name
+ */
+const getSchema = (name) => {
+  if (!schemas[name]) {
+    throw new ValidationError(`Unknown schema: ${name}`);
+  }
+  return schemas[name];
+};
+
+/**
+ * Validates a record against a schema.
+ *
+ * @param {Object} record - The record to validate
+ * @param {string} schemaName - The name of the schema, see `schemas`
+ * @param {Object} [options] - Function options.
+ * @param {boolean} [options.partial=false] - Skip the required fields check, e.g. for listings of selected columns
+ * @param {string} [options.path=""] - Prefix of the reported field paths
+ * @returns {Array<FieldError>} The invalid fields, empty if the record is valid
+ */
+const validate = (record, schemaName, options = {}) => {
+  const { partial = false, path = "" } = options;
+  const schema = getSchema(schemaName);
+  const fieldPath = (field) => (path ? `${path}.${field}` : field);
+
+  if (!typeChecks.object(record)) {
+    return [{ field: path || "(root)", message: "must be an object" }];
+  }
+
+  const errors = [];
+
+  if (!partial) {
+    schema.required
+      .filter((field) => record[field] === undefined || record[field] === null)
+      .forEach((field) => {
+        errors.push({ field: fieldPath(field), message: "is required" });
+      });
+  }
+
+  Object.entries(schema.fields).forEach(([field, spec]) => {
+    const value = record[field];
+    if (value === undefined || value === null) {
+      return;
+    }
+
+    const name = fieldPath(field);
+
+    if (!typeChecks[spec.type](value)) {
+      errors.push({ field: name, message: `must be ${typeNames[spec.type]}` });
+      return;
+    }
+
+    if (spec.enum && !spec.enum.includes(value)) {
+      errors.push({
+        field: name,
+        message: `must be one of ${spec.enum.join(", ")}`,
+      });
+    }
+
+    if (spec.min !== undefined && value < spec.min) {
+      errors.push({ field: name, message: `must be at least ${spec.min}` });
+    }
+
+    if (spec.max !== undefined && value > spec.max) {
+      errors.push({ field: name, message: `must be at most ${spec.max}` });
+    }
+
+    if (spec.minItems !== undefined && value.length < spec.minItems) {
+      errors.push({
+        field: name,
+        message: `must have at least ${spec.minItems} items`,
+      });
+    }
+
+    if (spec.schema) {
+      errors.push(...validate(value, spec.schema, { partial, path: name }));
+    }
+
+    if (spec.items) {
+      value.forEach((item, index) => {
+        errors.push(
+          ...validate(item, spec.items, { partial, path: `${name}[${index}]` })
+        );
+      });
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Formats field errors into a single message.
+ *
+ * @param {string} message - What the errors are about
+ * @param {Array<FieldError>} errors - The invalid fields
+ * @returns {string} The message
+ */
+const formatFieldErrors = (message, errors) => {
+  return `${message}: ${errors
+    .map((error) => `${error.field} ${error.message}`)
+    .join("; ")}`;
+};
+
+/**
+ * Checks a payload before it is sent.
+ *
+ * @param {Object} payload - The payload
+ * @param {string} schemaName - The name of the schema, see `schemas`
+ * @param {Object} [details] - Details of the request, copied onto the error
+ * @throws {SchemaValidationError} If the payload is invalid
+ */
+const assertValidPayload = (payload, schemaName, details = {}) => {
+  const errors = validate(payload, schemaName);
+
+  if (errors.length) {
+    throw new SchemaValidationError(
+      formatFieldErrors(`Invalid ${schemaName} payload`, errors),
+      { ...details, errors }
+    );
+  }
+};
+
+/**
+ * Checks the records in a response body.
+ *
+ * @param {Object|Array<Object>} records - A record or a list of records
+ * @param {string} schemaName - The name of the schema, see `schemas`
+ * @param {Object} [options] - Function options.
+ * @param {boolean} [options.partial=false] - Skip the required fields check
+ * @param {Object} [options.details] - Details of the request, copied onto the error
+ * @throws {UnexpectedResponseError} If any record does not match the schema
+ */
+const assertValidResponse = (records, schemaName, options = {}) => {
+  const { partial = false, details = {} } = options;
+  const errors = Array.isArray(records)
+    ? records.flatMap((record, index) =>
+        validate(record, schemaName, { partial, path: `[${index}]` })
+      )
+    : validate(records, schemaName, { partial });
+
+  if (errors.length) {
+    throw new UnexpectedResponseError(
+      formatFieldErrors(
+        `Response does not match the ${schemaName} schema`,
+        errors
+      ),
+      { ...details, responseBody: records, errors }
+    );
+  }
+};
+
+module.exports = {
+  schemas,
+  unitStatuses,
+  validate,
+  assertValidPayload,
+  assertValidResponse,
+};
@@ -0,0 +1,1230 @@
+const http = require("http");
+const crypto = require("crypto");
+const {
+  parseSerialNumberBlock,
+  formatSerialNumberBlock,
+  countSerialNumberBlock,
+} = require("../utils/serial-number");
+const { MemoryRetirementJournal } = require("../retirement-journal");
+
+/**
+ * The services the mock serves, named as in errors and fault injection.
+ */
+const services = [
+  "registry",
+  "token-driver",
+  "retirement-explorer",
+  "wallet",
+  "datalayer",
+];
+
+const silentLogger = [
+  "trace",
+  "debug",
+  "info",
+  "task",
+  "warn",
+  "error",
+  "fatal",
+].reduce((logger, level) => ({ ...logger, [level]: () => {} }), {});
+
+const randomHash = () => `0x${crypto.randomBytes(32).toString("hex")}`;
+
+/** An error response of a mock route. */
+class MockHttpError extends Error {
+  /**
+   * @param {number} status - The HTTP status
+   * @param {string} message - The error message
+   */
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Parses a query string, collecting repeated and `key[]` parameters into arrays.
+ *
+ * @param {URLSearchParams} searchParams - The query parameters
+ * @returns {Object} The query
+ */
+const parseQuery = (searchParams) => {
+  const query = {};
+
+  for (const [rawKey, value] of searchParams) {
+    const key = rawKey.replace(/\[\d*\]$/, "");
+    if (query[key] === undefined) {
+      query[key] = rawKey === key ? value : [value];
+    } else {
+      query[key] = [].concat(query[key], value);
+    }
+  }
+
+  return query;
+};
+
+/**
+ * Reads a request body as JSON.
+ *
+ * @param {http.IncomingMessage} req - The request
+ * @returns {Promise<*>} The parsed body, undefined if empty
+ */
+const readBody = async (req) => {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+
+  const text = Buffer.concat(chunks).toString("utf8");
+  if (!text) {
+    return undefined;
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new MockHttpError(400, "Request body is not valid JSON");
+  }
+};
+
+/**
+ * Pages a list the way CADT does when `page` and `limit` are given.
+ *
+ * @param {Array<Object>} records - The records
+ * @param {Object} query - The query with `page` and `limit`
+ * @returns {Object|Array<Object>} The page, or every record without paging parameters
+ */
+const paginate = (records, query) => {
+  if (query.page === undefined || query.limit === undefined) {
+    return records;
+  }
+
+  const page = Number(query.page);
+  const limit = Number(query.limit);
+  const start = (page - 1) * limit;
+
+  return {
+    page,
+    pageCount: Math.max(1, Math.ceil(records.length / limit)),
+    data: records.slice(start, start + limit),
+  };
+};
+
+/**
+ * Applies a CADT `column:value:operator` filter.
+ *
+ * @param {Array<Object>} records - The records
+ * @param {string} [filter] - The filter expression
+ * @returns {Array<Object>} The matching records
+ */
+const applyFilter = (records, filter) => {
+  if (!filter) {
+    return records;
+  }
+
+  const parts = filter.split(":");
+  const column = parts[0];
+  const operator = parts[parts.length - 1];
+  const rawValue = parts.slice(1, -1).join(":");
+  const value = rawValue.startsWith("[") ? JSON.parse(rawValue) : rawValue;
+  const matches = (record) => {
+    const field = record[column] === null ? "" : String(record[column]);
+    switch (operator) {
+      case "eq":
+        return field === String(value);
+      case "ne":
+        return field !== String(value);
+      case "gt":
+        return Number(field) > Number(value);
+      case "gte":
+        return Number(field) >= Number(value);
+      case "lt":
+        return Number(field) < Number(value);
+      case "lte":
+        return Number(field) <= Number(value);
+      case "like":
+        return field.toLowerCase().includes(String(value).toLowerCase());
+      case "in":
+        return [].concat(value).map(String).includes(field);
+      case "not":
+        return ![].concat(value).map(String).includes(field);
+      default:
+        throw new MockHttpError(400, `Unknown filter operator: ${operator}`);
+    }
+  };
+
+  return records.filter(matches);
+};
+
+/**
+ * Only keeps the requested columns of each record.
+ *
+ * @param {Array<Object>} records - The records
+ * @param {string|Array<string>} [columns] - The columns
+ * @returns {Array<Object>} The records
+ */
+const selectColumns = (records, columns) => {
+  if (!columns) {
+    return records;
+  }
+
+  const names = [].concat(columns);
+  return records.map((record) =>
+    Object.fromEntries(names.map((name) => [name, record[name]]))
+  );
+};
+
+/**
+ * In-process stand-ins for CADT, the Token Driver, the Retirement Explorer
+ * and the Chia wallet and DataLayer RPCs. Every service is a plain HTTP
+ * server on a random local port, backed by the scriptable `state`.
+ *
+ * Writes behave like the real services: unit edits land in staging, a
+ * commit applies them and moves the home org roots, and the roots and
+ * wallet transactions confirm immediately unless `autoConfirm` is off.
+ */
+class MockEnvironment {
+  /**
+   * @param {Object} [options] - Mock options.
+   * @param {boolean} [options.autoConfirm=true] - Confirm roots, transactions and tokens as soon as they are created
+   * @param {Object} [options.homeOrg] - Fields of the home organization
+   */
+  constructor(options = {}) {
+    this.autoConfirm = options.autoConfirm ?? true;
+    this.faults = [];
+    this.requests = [];
+    this.servers = {};
+    this.ports = {};
+    this.state = this.createState(options.homeOrg);
+    this.routes = this.createRoutes();
+  }
+
+  /**
+   * Creates the initial state: a synced home org and nothing else.
+   *
+   * @param {Object} [homeOrg] - Fields of the home organization
+   * @returns {Object} The state
+   */
+  createState = (homeOrg = {}) => {
+    const org = {
+      orgUid: crypto.randomBytes(32).toString("hex"),
+      name: "Mock Home Org",
+      icon: "",
+      isHome: true,
+      subscribed: true,
+      synced: true,
+      registryId: crypto.randomBytes(32).toString("hex"),
+      registryHash: randomHash(),
+      orgHash: randomHash(),
+      ...homeOrg,
+    };
+
+    return {
+      organizations: { [org.orgUid]: org },
+      metadata: { [org.orgUid]: {} },
+      roots: {
+        [org.registryId]: { hash: org.registryHash, confirmed: true },
+        [org.orgUid]: { hash: org.orgHash, confirmed: true },
+      },
+      units: [],
+      projects: [],
+      staging: [],
+      tokens: [],
+      tokenTransactions: {},
+      detokenizations: {},
+      activities: [],
+      wallet: {
+        synced: true,
+        syncing: false,
+        genesis_challenge_initialized: true,
+        wallets: [{ id: 1, name: "Chia Wallet", type: 0, data: "" }],
+        balance: {
+          confirmed_wallet_balance: 0,
+          spendable_balance: 0,
+          unconfirmed_wallet_balance: 0,
+        },
+        transactions: [],
+      },
+    };
+  };
+
+  /**
+   * Gets the home organization.
+   *
+   * @returns {Object} The home organization
+   */
+  getHomeOrg = () => {
+    return Object.values(this.state.organizations).find((org) => org.isHome);
+  };
+
+  /**
+   * Starts every mock server.
+   *
+   * @returns {Promise<MockEnvironment>} The environment
+   */
+  start = async () => {
+    for (const service of services) {
+      const server = http.createServer((req, res) =>
+        this.handle(service, req, res)
+      );
+
+      await new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(0, "127.0.0.1", resolve);
+      });
+
+      this.servers[service] = server;
+      this.ports[service] = server.address().port;
+    }
+
+    return this;
+  };
+
+  /**
+   * Stops every mock server.
+   *
+   * @returns {Promise<void>}
+   */
+  close = async () => {
+    await Promise.all(
+      Object.values(this.servers).map(
+        (server) =>
+          new Promise((resolve) => {
+            server.closeAllConnections();
+            server.close(() => resolve());
+          })
+      )
+    );
+    this.servers = {};
+  };
+
+  /**
+   * Builds a client config pointing every section at the mock servers.
+   *
+   * @returns {Object} The client config
+   */
+  getConfig = () => {
+    const section = (service) => ({
+      PROTOCOL: "http",
+      HOST: "127.0.0.1",
+      PORT: this.ports[service],
+      API_KEY: null,
+    });
+
+    return {
+      GENERAL: {
+        CORE_REGISTRY_MODE: false,
+        LOG_LEVEL: "task",
+        LOG_RETENTION_DAYS: "30",
+      },
+      CHIA: {
+        DATALAYER_HOST: `http://127.0.0.1:${this.ports.datalayer}`,
+        WALLET_HOST: `http://127.0.0.1:${this.ports.wallet}`,
+        CERTIFICATE_FOLDER_PATH: null,
+        ALLOW_SELF_SIGNED_CERTIFICATES: true,
+        DEFAULT_WALLET_ID: 1,
+      },
+      CADT: section("registry"),
+      RETIREMENT_EXPLORER: section("retirement-explorer"),
+      CHIA_CLIMATE_TOKENIZATION: section("token-driver"),
+    };
+  };
+
+  /**
+   * Creates a CoreRegistryClient for the mock, with short waits and retries
+   * and a retirement journal in memory.
+   *
+   * @param {Object} [logger] - The logger, silent by default
+   * @param {Object} [options] - CoreRegistryClient options overriding the mock defaults
+   * @returns {CoreRegistryClient} The client
+   */
+  createClient = (logger = silentLogger, options = {}) => {
+    // Required here, the package entry point is not loaded by the mock itself
+    const { CoreRegistryClient } = require("../..");
+
+    return new CoreRegistryClient(this.getConfig(), logger, {
+      pollInterval: 10,
+      retryDelay: 1,
+      retirementJournal: new MemoryRetirementJournal(),
+      ...options,
+    });
+  };
+
+  /**
+   * Makes matching requests fail.
+   *
+   * @param {Object} fault - The fault.
+   * @param {string} fault.service - The service, e.g. "registry" or "wallet"
+   * @param {string} [fault.method] - Only fail requests with this method
+   * @param {string|RegExp} [fault.path] - Only fail requests to this path, or RPC endpoint for wallet and datalayer
+   * @param {number} [fault.status=500] - The status to respond with
+   * @param {*} [fault.body] - The body to respond with
+   * @param {number} [fault.delay=0] - Milliseconds to wait before responding, without a status the request is then handled normally
+   * @param {boolean} [fault.reset=false] - Destroy the connection instead of responding
+   * @param {number} [fault.times=1] - Number of requests to fail, Infinity for every request
+   * @returns {Object} The fault, which can be passed to `clearFaults`
+   */
+  injectFault = (fault) => {
+    const injected = {
+      times: 1,
+      delay: 0,
+      reset: false,
+      ...fault,
+    };
+    if (injected.status === undefined && !injected.delay && !injected.reset) {
+      injected.status = 500;
+    }
+
+    this.faults.push(injected);
+    return injected;
+  };
+
+  /**
+   * Removes injected faults.
+   *
+   * @param {Object} [fault] - The fault to remove, every fault if omitted
+   */
+  clearFaults = (fault) => {
+    this.faults = fault ? this.faults.filter((item) => item !== fault) : [];
+  };
+
+  /**
+   * Finds the injected fault for a request and counts it as used.
+   *
+   * @param {string} service - The service
+   * @param {string} method - The HTTP method
+   * @param {string} path - The request path
+   * @returns {Object|undefined} The fault
+   */
+  takeFault = (service, method, path) => {
+    const fault = this.faults.find(
+      (item) =>
+        item.service === service &&
+        (!item.method || item.method === method) &&
+        (!item.path ||
+          (item.path instanceof RegExp
+            ? item.path.test(path)
+            : item.path === path || `/${item.path}` === path))
+    );
+
+    if (fault) {
+      fault.times -= 1;
+      if (fault.times <= 0) {
+        this.clearFaults(fault);
+      }
+    }
+
+    return fault;
+  };
+
+  /**
+   * Handles a request to one of the mock servers.
+   *
+   * @param {string} service - The service of the server
+   * @param {http.IncomingMessage} req - The request
+   * @param {http.ServerResponse} res - The response
+   * @returns {Promise<void>}
+   */
+  handle = async (service, req, res) => {
+    const url = new URL(req.url, "http://127.0.0.1");
+    const respond = (status, body) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body ?? {}));
+    };
+
+    try {
+      const request = {
+        service,
+        method: req.method,
+        path: url.pathname,
+        query: parseQuery(url.searchParams),
+        body: await readBody(req),
+        headers: req.headers,
+      };
+      this.requests.push(request);
+
+      const fault = this.takeFault(service, request.method, request.path);
+      if (fault?.delay) {
+        await new Promise((resolve) => setTimeout(resolve, fault.delay));
+      }
+      if (fault?.reset) {
+        req.socket.destroy();
+        return;
+      }
+      if (fault?.status) {
+        respond(fault.status, fault.body ?? { message: "Injected fault" });
+        return;
+      }
+
+      for (const [method, pattern, handler] of this.routes[service]) {
+        const matches = url.pathname.match(pattern);
+        if (method === req.method && matches) {
+          const result = await handler({
+            ...request,
+            params: matches.slice(1),
+          });
+          respond(result?.status ?? 200, result?.body);
+          return;
+        }
+      }
+
+      throw new MockHttpError(
+        404,
+        `No mock route for ${req.method} ${url.pathname}`
+      );
+    } catch (error) {
+      // The Chia RPCs report failures in the body of a 200 response
+      if (service === "wallet" || service === "datalayer") {
+        respond(200, { success: false, error: error.message });
+      } else {
+        respond(error.status ?? 500, { message: error.message });
+      }
+    }
+  };
+
+  /**
+   * Defines the routes of every mock server.
+   *
+   * @returns {Object<string, Array>} `[method, pattern, handler]` routes, keyed by service
+   */
+  createRoutes = () => {
+    const rpc = (endpoint, handler) => [
+      "POST",
+      new RegExp(`^/${endpoint}$`),
+      async (request) => ({
+        body: { success: true, ...(await handler(request.body || {})) },
+      }),
+    ];
+
+    return {
+      registry: [
+        ["GET", /^\/v1\/units$/, this.listUnits],
+        ["PUT", /^\/v1\/units$/, this.updateUnit],
+        ["POST", /^\/v1\/units\/split$/, this.splitUnit],
+        ["GET", /^\/v1\/projects$/, this.listProjects],
+        ["POST", /^\/v1\/projects$/, this.createProject],
+        ["PUT", /^\/v1\/projects$/, this.updateProject],
+        ["DELETE", /^\/v1\/projects$/, this.deleteProject],
+        ["GET", /^\/v1\/staging$/, this.listStaging],
+        ["DELETE", /^\/v1\/staging$/, this.deleteStagedRecord],
+        ["POST", /^\/v1\/staging\/commit$/, this.commitStaging],
+        ["DELETE", /^\/v1\/staging\/clean$/, this.cleanStaging],
+        ["POST", /^\/v1\/staging\/retry$/, this.retryStagedRecord],
+        [
+          "GET",
+          /^\/v1\/staging\/hasPendingTransactions$/,
+          this.hasPendingTransactions,
+        ],
+        ["GET", /^\/v1\/organizations$/, this.listOrganizations],
+        ["POST", /^\/v1\/organizations$/, this.createOrganization],
+        ["PUT", /^\/v1\/organizations\/import$/, this.importOrganization],
+        [
+          "PUT",
+          /^\/v1\/organizations\/(subscribe|unsubscribe)$/,
+          this.setSubscription,
+        ],
+        ["PUT", /^\/v1\/organizations\/resync$/, this.resyncOrganization],
+        ["GET", /^\/v1\/organizations\/metadata$/, this.getMetadata],
+        ["POST", /^\/v1\/organizations\/metadata$/, this.setMetadata],
+      ],
+      "token-driver": [
+        ["GET", /^\/v1\/info$/, this.getTokenDriverInfo],
+        ["POST", /^\/v1\/tokens$/, this.createToken],
+        [
+          "GET",
+          /^\/v1\/tokens\/parse-detokenization$/,
+          this.parseDetokenization,
+        ],
+        ["GET", /^\/v1\/transactions\/([^/]+)$/, this.getTokenTransaction],
+        ["PUT", /^\/v1\/tokens\/([^/]+)\/detokenize$/, this.detokenize],
+      ],
+      "retirement-explorer": [
+        ["GET", /^\/v1\/activities$/, this.listActivities],
+        ["GET", /^\/v1\/activities\/activity-record$/, this.getActivity],
+      ],
+      wallet: [
+        rpc("get_sync_status", () => {
+          const { synced, syncing, genesis_challenge_initialized } =
+            this.state.wallet;
+          return { synced, syncing, genesis_challenge_initialized };
+        }),
+        rpc("get_wallets", ({ type }) => ({
+          wallets: this.state.wallet.wallets.filter(
+            (wallet) => type === undefined || wallet.type === type
+          ),
+        })),
+        rpc("get_wallet_balance", ({ wallet_id }) => ({
+          wallet_balance: { wallet_id, ...this.state.wallet.balance },
+        })),
+        rpc("get_transactions", ({ start = 0, end = 50 }) => ({
+          transactions: this.state.wallet.transactions.slice(start, end),
+        })),
+        rpc("get_transaction", ({ transaction_id }) => {
+          const transaction = this.state.wallet.transactions.find(
+            (item) => item.name === transaction_id
+          );
+          if (!transaction) {
+            throw new MockHttpError(
+              404,
+              `Unknown transaction ${transaction_id}`
+            );
+          }
+          return { transaction };
+        }),
+      ],
+      datalayer: [
+        rpc("get_root", ({ id }) => {
+          const root = this.state.roots[id];
+          if (!root) {
+            throw new MockHttpError(404, `Unknown store ${id}`);
+          }
+          return { ...root, timestamp: Math.floor(Date.now() / 1000) };
+        }),
+      ],
+    };
+  };
+
+  /**
+   * Adds a committed unit. Missing fields get valid defaults and `unitCount`
+   * is derived from the serial number block.
+   *
+   * @param {Object} unit - The unit fields
+   * @returns {Object} The stored unit
+   */
+  addUnit = (unit = {}) => {
+    const serialNumberBlock = unit.serialNumberBlock || "MOCK-1-1000";
+    const stored = {
+      warehouseUnitId: crypto.randomUUID(),
+      orgUid: this.getHomeOrg().orgUid,
+      unitOwner: null,
+      countryJurisdictionOfOwner: "United States of America",
+      inCountryJurisdictionOfOwner: null,
+      vintageYear: 2020,
+      unitType: "Removal",
+      marketplace: null,
+      marketplaceLink: null,
+      marketplaceIdentifier: null,
+      unitTags: null,
+      unitStatus: "Held",
+      unitStatusReason: null,
+      unitRegistryLink: "https://example.com/registry",
+      correspondingAdjustmentDeclaration: "Unknown",
+      correspondingAdjustmentStatus: "Not Started",
+      ...unit,
+      serialNumberBlock,
+      unitCount: Number(countSerialNumberBlock(serialNumberBlock)),
+    };
+
+    this.state.units.push(stored);
+    return stored;
+  };
+
+  /**
+   * Adds a committed project.
+   *
+   * @param {Object} project - The project fields
+   * @returns {Object} The stored project
+   */
+  addProject = (project = {}) => {
+    const stored = {
+      warehouseProjectId: crypto.randomUUID(),
+      orgUid: this.getHomeOrg().orgUid,
+      projectId: `MOCK-${this.state.projects.length + 1}`,
+      projectName: "Mock Project",
+      issuances: [],
+      labels: [],
+      ...project,
+    };
+
+    this.state.projects.push(stored);
+    return stored;
+  };
+
+  /**
+   * Adds a retirement explorer activity.
+   *
+   * @param {Object} activity - The activity fields
+   * @returns {Object} The stored activity
+   */
+  addActivity = (activity = {}) => {
+    const stored = {
+      mode: "PERMISSIONLESS_RETIREMENT",
+      height: 1,
+      amount: 1000,
+      beneficiary_name: "Mock Beneficiary",
+      beneficiary_address: "xch1mock",
+      coin_id: randomHash(),
+      timestamp: Math.floor(Date.now() / 1000),
+      ...activity,
+    };
+
+    this.state.activities.push(stored);
+    return stored;
+  };
+
+  /**
+   * Registers the payload the token driver returns when parsing a detokenization string.
+   *
+   * @param {string} detokString - The detokenization string
+   * @param {Object} payload - The parsed payload
+   */
+  addDetokenization = (detokString, payload) => {
+    this.state.detokenizations[detokString] = payload;
+  };
+
+  /**
+   * Adds a wallet transaction, unconfirmed unless `autoConfirm` is on.
+   *
+   * @param {Object} [transaction] - The transaction fields
+   * @returns {Object} The stored transaction
+   */
+  addWalletTransaction = (transaction = {}) => {
+    const stored = {
+      name: randomHash(),
+      confirmed: this.autoConfirm,
+      created_at_time: Math.floor(Date.now() / 1000),
+      wallet_id: 1,
+      ...transaction,
+    };
+
+    this.state.wallet.transactions.unshift(stored);
+    return stored;
+  };
+
+  /**
+   * Publishes a new root for a home org store, as happens on every write to CADT.
+   *
+   * @param {string} store - "registry" or "org"
+   */
+  publishRoot = (store) => {
+    const homeOrg = this.getHomeOrg();
+    const hash = randomHash();
+    const id = store === "registry" ? homeOrg.registryId : homeOrg.orgUid;
+
+    this.state.roots[id] = { hash, confirmed: this.autoConfirm };
+    homeOrg[store === "registry" ? "registryHash" : "orgHash"] = hash;
+    this.addWalletTransaction();
+  };
+
+  /**
+   * Confirms every pending root, wallet transaction and token transaction.
+   */
+  confirmAll = () => {
+    Object.values(this.state.roots).forEach((root) => {
+      root.confirmed = true;
+    });
+    this.state.wallet.transactions.forEach((transaction) => {
+      transaction.confirmed = true;
+    });
+    Object.values(this.state.tokenTransactions).forEach((transaction) => {
+      transaction.record.confirmed = true;
+    });
+  };
+
+  /**
+   * Stages a change the way CADT does.
+   *
+   * @param {Object} stagingRecord - The table, action, uuid, original and change
+   */
+  stage = ({ table, action, uuid, original, change }) => {
+    if (this.state.staging.some((record) => record.uuid === uuid)) {
+      throw new MockHttpError(
+        400,
+        `Record ${uuid} already has a staged change`
+      );
+    }
+
+    this.state.staging.push({
+      id: this.state.staging.length + 1,
+      uuid,
+      table,
+      action,
+      commited: false,
+      failedCommit: false,
+      data: JSON.stringify(change),
+      diff: { original, change },
+    });
+  };
+
+  /** GET /v1/units: a single unit, or a filtered and optionally paged listing. */
+  listUnits = ({ query }) => {
+    if (query.warehouseUnitId) {
+      const unit = this.state.units.find(
+        (item) => item.warehouseUnitId === query.warehouseUnitId
+      );
+      // Like CADT, an unknown unit is not an error
+      return { body: unit || null };
+    }
+
+    let units = applyFilter(this.state.units, query.filter);
+
+    if (query.marketplaceIdentifiers) {
+      const ids = [].concat(query.marketplaceIdentifiers);
+      units = units.filter((unit) => ids.includes(unit.marketplaceIdentifier));
+    }
+    if (query.orgUid) {
+      units = units.filter((unit) => unit.orgUid === query.orgUid);
+    }
+    if (query.search) {
+      const search = query.search.toLowerCase();
+      units = units.filter((unit) =>
+        JSON.stringify(unit).toLowerCase().includes(search)
+      );
+    }
+
+    return { body: paginate(selectColumns(units, query.columns), query) };
+  };
+
+  /** PUT /v1/units: stages an update of a unit. */
+  updateUnit = ({ body }) => {
+    const original = this.state.units.find(
+      (unit) => unit.warehouseUnitId === body?.warehouseUnitId
+    );
+    if (!original) {
+      throw new MockHttpError(400, "Unit does not exist");
+    }
+
+    this.stage({
+      table: "Units",
+      action: "UPDATE",
+      uuid: original.warehouseUnitId,
+      original,
+      change: [{ ...original, ...body }],
+    });
+
+    return { body: { message: "Unit update added to the staging table." } };
+  };
+
+  /** POST /v1/units/split: stages a split, dividing the serial number block in record order. */
+  splitUnit = ({ body }) => {
+    const original = this.state.units.find(
+      (unit) => unit.warehouseUnitId === body?.warehouseUnitId
+    );
+    if (!original) {
+      throw new MockHttpError(400, "Unit does not exist");
+    }
+
+    const block = parseSerialNumberBlock(original.serialNumberBlock);
+    const total = body.records.reduce(
+      (sum, record) => sum + BigInt(record.unitCount),
+      0n
+    );
+    if (total !== countSerialNumberBlock(block)) {
+      throw new MockHttpError(
+        400,
+        "The sum of the split units must equal the original record"
+      );
+    }
+
+    let start = block.start;
+    const change = body.records.map((record) => {
+      const end = start + BigInt(record.unitCount) - 1n;
+      const split = {
+        ...original,
+        ...record,
+        warehouseUnitId: crypto.randomUUID(),
+        serialNumberBlock: formatSerialNumberBlock({ ...block, start, end }),
+      };
+      start = end + 1n;
+      return split;
+    });
+
+    this.stage({
+      table: "Units",
+      action: "UPDATE",
+      uuid: original.warehouseUnitId,
+      original,
+      change,
+    });
+
+    return { body: { message: "Unit split added to the staging table." } };
+  };
+
+  /** GET /v1/projects: a filtered and optionally paged listing. */
+  listProjects = ({ query }) => {
+    let projects = applyFilter(this.state.projects, query.filter);
+
+    if (query.projectIds) {
+      const ids = [].concat(query.projectIds);
+      projects = projects.filter((project) =>
+        ids.includes(project.warehouseProjectId)
+      );
+    }
+    if (query.orgUid) {
+      projects = projects.filter((project) => project.orgUid === query.orgUid);
+    }
+
+    return { body: paginate(selectColumns(projects, query.columns), query) };
+  };
+
+  /**
+   * Gives the child records of a project their ids and project link.
+   *
+   * @param {Object} project - The project
+   * @returns {Object} The project with linked child records
+   */
+  linkProjectChildren = (project) => {
+    const linked = { ...project };
+
+    Object.entries(linked).forEach(([field, value]) => {
+      if (Array.isArray(value)) {
+        linked[field] = value.map((record) => ({
+          id: crypto.randomUUID(),
+          ...record,
+          warehouseProjectId: project.warehouseProjectId,
+          orgUid: project.orgUid,
+        }));
+      }
+    });
+
+    return linked;
+  };
+
+  /** POST /v1/projects: stages a new project. */
+  createProject = ({ body }) => {
+    const project = this.linkProjectChildren({
+      ...body,
+      warehouseProjectId: crypto.randomUUID(),
+      orgUid: this.getHomeOrg().orgUid,
+    });
+
+    this.stage({
+      table: "Projects",
+      action: "INSERT",
+      uuid: project.warehouseProjectId,
+      original: null,
+      change: [project],
+    });
+
+    return {
+      body: {
+        message: "Project staged successfully",
+        uuid: project.warehouseProjectId,
+      },
+    };
+  };
+
+  /** PUT /v1/projects: stages a project update, replacing the child tables sent. */
+  updateProject = ({ body }) => {
+    const original = this.findProject(body?.warehouseProjectId);
+
+    this.stage({
+      table: "Projects",
+      action: "UPDATE",
+      uuid: original.warehouseProjectId,
+      original,
+      change: [this.linkProjectChildren({ ...original, ...body })],
+    });
+
+    return { body: { message: "Project update added to staging" } };
+  };
+
+  /** DELETE /v1/projects: stages the deletion of a project. */
+  deleteProject = ({ body }) => {
+    const original = this.findProject(body?.warehouseProjectId);
+
+    this.stage({
+      table: "Projects",
+      action: "DELETE",
+      uuid: original.warehouseProjectId,
+      original,
+      change: [],
+    });
+
+    return { body: { message: "Project deleted successfully" } };
+  };
+
+  /**
+   * Gets a committed project.
+   *
+   * @param {string} warehouseProjectId - The warehouse project id
+   * @returns {Object} The project
+   */
+  findProject = (warehouseProjectId) => {
+    const project = this.state.projects.find(
+      (item) => item.warehouseProjectId === warehouseProjectId
+    );
+    if (!project) {
+      throw new MockHttpError(400, "Project does not exist");
+    }
+    return project;
+  };
+
+  /** GET /v1/staging: the staged records, optionally paged. */
+  listStaging = ({ query }) => {
+    const records = this.state.staging.filter(
+      (record) => !query.table || record.table === query.table
+    );
+    return { body: paginate(records, query) };
+  };
+
+  /** DELETE /v1/staging: removes a single staged record. */
+  deleteStagedRecord = ({ body }) => {
+    this.state.staging = this.state.staging.filter(
+      (record) => record.uuid !== body?.uuid
+    );
+    return { body: { message: "Deleted from stage" } };
+  };
+
+  /** DELETE /v1/staging/clean: removes every staged record. */
+  cleanStaging = () => {
+    this.state.staging = [];
+    return { body: { message: "Staging Data Cleaned" } };
+  };
+
+  /** POST /v1/staging/retry: moves a failed record back into staging. */
+  retryStagedRecord = ({ body }) => {
+    const record = this.state.staging.find((item) => item.uuid === body?.uuid);
+    if (!record) {
+      throw new MockHttpError(404, "Staged record not found");
+    }
+    record.failedCommit = false;
+    record.commited = false;
+    return { body: { message: "Staging record re-staged." } };
+  };
+
+  /** POST /v1/staging/commit: applies the staged records and publishes a new registry root. */
+  commitStaging = () => {
+    const pending = this.state.staging.filter((record) => !record.commited);
+
+    pending.forEach((record) => {
+      if (record.table === "Units") {
+        this.state.units = this.state.units
+          .filter((unit) => unit.warehouseUnitId !== record.uuid)
+          .concat(record.diff.change);
+      } else if (record.table === "Projects") {
+        this.state.projects = this.state.projects
+          .filter((project) => project.warehouseProjectId !== record.uuid)
+          .concat(record.action === "DELETE" ? [] : record.diff.change);
+      }
+    });
+
+    this.state.staging = this.state.staging.filter(
+      (record) => !pending.includes(record)
+    );
+    if (pending.length) {
+      this.publishRoot("registry");
+    }
+
+    return { body: { message: "Staging Table committed to full node" } };
+  };
+
+  /** GET /v1/staging/hasPendingTransactions: confirmed once every root and wallet transaction is. */
+  hasPendingTransactions = () => {
+    const confirmed =
+      this.state.wallet.transactions.every(
+        (transaction) => transaction.confirmed
+      ) && Object.values(this.state.roots).every((root) => root.confirmed);
+
+    return { body: { confirmed } };
+  };
+
+  /** GET /v1/organizations: the organizations keyed by orgUid. */
+  listOrganizations = () => {
+    return { body: this.state.organizations };
+  };
+
+  /**
+   * Gets an organization.
+   *
+   * @param {string} orgUid - The organization UID
+   * @returns {Object} The organization
+   */
+  findOrganization = (orgUid) => {
+    const org = this.state.organizations[orgUid];
+    if (!org) {
+      throw new MockHttpError(404, `Unknown organization ${orgUid}`);
+    }
+    return org;
+  };
+
+  /** POST /v1/organizations: creates a synced home org if there is none. */
+  createOrganization = ({ body }) => {
+    if (this.getHomeOrg()) {
+      throw new MockHttpError(400, "Home organization already exists");
+    }
+
+    const { organizations, metadata, roots } = this.createState({
+      name: body?.name,
+      icon: body?.icon || "",
+    });
+    const [orgUid] = Object.keys(organizations);
+    Object.assign(this.state.organizations, organizations);
+    Object.assign(this.state.metadata, metadata);
+    Object.assign(this.state.roots, roots);
+
+    return {
+      body: { message: "New organization created successfully.", orgUid },
+    };
+  };
+
+  /** PUT /v1/organizations/import: adds a subscribed organization that is still syncing. */
+  importOrganization = ({ body }) => {
+    if (this.state.organizations[body?.orgUid]) {
+      throw new MockHttpError(400, "Organization already imported");
+    }
+
+    this.state.organizations[body.orgUid] = {
+      orgUid: body.orgUid,
+      name: "Mock Imported Org",
+      icon: "",
+      isHome: false,
+      subscribed: true,
+      synced: false,
+      sync_remaining: 1,
+      registryId: crypto.randomBytes(32).toString("hex"),
+      fileStoreId: crypto.randomBytes(32).toString("hex"),
+    };
+
+    return {
+      body: {
+        message:
+          "Importing and subscribing organization this can take a few mins.",
+      },
+    };
+  };
+
+  /** PUT /v1/organizations/subscribe and /unsubscribe: toggles the subscription. */
+  setSubscription = ({ body, params: [action] }) => {
+    const org = this.findOrganization(body?.orgUid);
+    org.subscribed = action === "subscribe";
+
+    return { body: { message: `Organization ${action}d` } };
+  };
+
+  /** PUT /v1/organizations/resync: marks an organization as syncing again. */
+  resyncOrganization = ({ body }) => {
+    const org = this.findOrganization(body?.orgUid);
+    org.synced = false;
+    org.sync_remaining = 1;
+
+    return { body: { message: "Resyncing organization" } };
+  };
+
+  /** GET /v1/organizations/metadata: the metadata of an organization. */
+  getMetadata = ({ query }) => {
+    return { body: this.state.metadata[query.orgUid] || {} };
+  };
+
+  /** POST /v1/organizations/metadata: merges into the home org metadata and publishes a new org root. */
+  setMetadata = ({ body }) => {
+    const { orgUid } = this.getHomeOrg();
+    this.state.metadata[orgUid] = {
+      ...this.state.metadata[orgUid],
+      ...body,
+    };
+    this.publishRoot("org");
+
+    return {
+      body: {
+        message: "Home org currently being updated, will be completed soon.",
+      },
+    };
+  };
+
+  /** POST /v1/tokens: creates a token and its transaction. */
+  createToken = ({ body }) => {
+    const token = {
+      ...body?.token,
+      asset_id: crypto.randomBytes(32).toString("hex"),
+      index: randomHash(),
+      public_key: randomHash(),
+    };
+    const tx = {
+      id: crypto.randomBytes(32).toString("hex"),
+      record: { confirmed: this.autoConfirm },
+    };
+
+    this.state.tokens.push(token);
+    this.state.tokenTransactions[tx.id] = tx;
+
+    return { body: { token, tx } };
+  };
+
+  /** GET /v1/info: the token driver build. */
+  getTokenDriverInfo = () => {
+    return { body: { blockchain_name: "Chia Network", version: "mock" } };
+  };
+
+  /** GET /v1/tokens/parse-detokenization: the payload registered with addDetokenization. */
+  parseDetokenization = ({ query }) => {
+    const payload = this.state.detokenizations[query.content];
+    if (!payload) {
+      throw new MockHttpError(400, "Invalid detokenization string");
+    }
+    return { body: payload };
+  };
+
+  /** GET /v1/transactions/:id: a token transaction. */
+  getTokenTransaction = ({ params: [id] }) => {
+    const transaction = this.state.tokenTransactions[decodeURIComponent(id)];
+    if (!transaction) {
+      throw new MockHttpError(404, "Transaction not found");
+    }
+    return { body: transaction };
+  };
+
+  /** PUT /v1/tokens/:assetId/detokenize: creates the detokenization transaction. */
+  detokenize = ({ params: [assetId], body }) => {
+    const tx = {
+      id: crypto.randomBytes(32).toString("hex"),
+      record: { confirmed: this.autoConfirm },
+    };
+    this.state.tokenTransactions[tx.id] = tx;
+
+    return {
+      body: { ...body, token: { ...body?.token, asset_id: assetId }, tx },
+    };
+  };
+
+  /** GET /v1/activities: the activities at or above minHeight, paged. */
+  listActivities = ({ query }) => {
+    const minHeight = Number(query.minHeight ?? 0);
+    const page = Number(query.page ?? 1);
+    const limit = Number(query.limit ?? 10);
+    const direction = query.sort === "desc" ? -1 : 1;
+    const activities = this.state.activities
+      .filter((activity) => Number(activity.height) >= minHeight)
+      .sort((a, b) => direction * (Number(a.height) - Number(b.height)));
+
+    return {
+      body: {
+        activities: activities.slice((page - 1) * limit, page * limit),
+        total: activities.length,
+      },
+    };
+  };
+
+  /** GET /v1/activities/activity-record: the activity with a coin id. */
+  getActivity = ({ query }) => {
+    const activity = this.state.activities.find(
+      (item) =>
+        item.coin_id === query.coin_id &&
+        (!query.action_mode || item.mode === query.action_mode)
+    );
+
+    return { body: { activity: activity || null } };
+  };
+}
+
+/**
+ * Creates and starts a mock environment.
+ *
+ * @example
+ * const env = await createMockEnvironment();
+ * const unit = env.addUnit({ marketplaceIdentifier: "asset-1" });
+ * const client = env.createClient();
+ * await client.registry.retireAmount({ marketplaceIdentifier: "asset-1", amount: 10 });
+ * await env.close();
+ *
+ * @param {Object} [options] - See MockEnvironment
+ * @returns {Promise<MockEnvironment>} The started environment
+ */
+const createMockEnvironment = async (options = {}) => {
+  return new MockEnvironment(options).start();
+};
+
+module.exports = {
+  MockEnvironment,
+  createMockEnvironment,
+};
@@ -1,97 +1,151 @@
-const superagent = require("superagent");
-const { logger } = require("../logger");
-const { CONFIG } = require("../config");
-
-const {
-  generateUriForHostAndPort,
-  waitFor,
-  handleApiRequestWithRetries,
-} = require("../utils");
+const HttpTransport = require("./transport");
+const { createWait, checkDependency } = require("./utils");
+const { NotFoundError, SyncTimeoutError } = require("./errors");
+const { resolveConfig, clientSections } = require("./config");
+
+/**
+ * @typedef {Object} TokenizationBody
+ * @property {Object} token - The token to create.
+ * @property {string} token.org_uid - The orgUid of the project
+ * @property {string} token.warehouse_project_id - The warehouseProjectId of the project
+ * @property {number} token.vintage_year - The vintage year of the unit
+ * @property {number} token.sequence_num - Distinguishes tokens of the same project and vintage, usually 0
+ * @property {Object} payment - Where the tokens go.
+ * @property {number} payment.amount - The amount in mojos, the unit count times catMojosPerUnit
+ * @property {string} payment.to_address - The wallet address receiving the tokens
+ * @property {number} [payment.fee] - The transaction fee in mojos
+ */
+
+/**
+ * @typedef {Object} TokenCreatedResponse
+ * @property {Object} token - The created token, with its `asset_id`
+ * @property {Object} tx - The transaction minting the token, with its `id`
+ */
 
 class TokenDriverApi {
-  constructor(config, logger) {
-    this.config = config;
+  /**
+   * @param {Object} config - The client config
+   * @param {Object} logger - The logger
+   * @param {Object} [options] - Client options.
+   * @param {HttpTransport} [options.transport] - The transport used to reach the token driver
+   * @param {number} [options.pollInterval] - Overrides the delays of every wait, e.g. to wait on a local mock
+   * @throws {ConfigError} If the CHIA_CLIMATE_TOKENIZATION section is invalid
+   */
+  constructor(config, logger, options = {}) {
+    this.config = resolveConfig(config, clientSections["token-driver"]);
     this.logger = logger;
+    this.transport =
+      options.transport || new HttpTransport(this.config, logger, options);
+    this.pollInterval = options.pollInterval;
   }
 
-  tokenDriverUri = generateUriForHostAndPort(
-    this.config.CHIA_CLIMATE_TOKENIZATION.PROTOCOL,
-    this.config.CHIA_CLIMATE_TOKENIZATION.HOST,
-    this.config.CHIA_CLIMATE_TOKENIZATION.PORT
-  );
+  /**
+   * Sends a request to the token driver through the transport.
+   *
+   * @param {Object} request - The request, see HttpTransport#request
+   * @returns {Promise<Object>} The response
+   */
+  request = (request) => {
+    return this.transport.request({ service: "token-driver", ...request });
+  };
 
   /**
-   * Adds Token Driver API Key to the request headers if available.
-   * @param {Object} headers - Optional headers to extend
-   * @returns {Object} Headers with API Key added if available
+   * Checks that the token driver is reachable and accepts the API key. Drivers
+   * without the info endpoint answer 404, which still proves both.
+   *
+   * @param {Object} [options] - Function options.
+   * @param {number} [options.timeout=10000] - Milliseconds to wait for the answer
+   * @returns {Promise<DependencyHealth>} The result of the check
    */
-  maybeAppendTokenDriverApiKey = (headers = {}) => {
-    if (this.config.CHIA_CLIMATE_TOKENIZATION.API_KEY) {
-      headers["x-api-key"] = this.config.CHIA_CLIMATE_TOKENIZATION.API_KEY;
-    }
-    return headers;
+  checkHealth = (options = {}) => {
+    const { timeout = 10000 } = options;
+
+    return checkDependency(async () => {
+      try {
+        const response = await this.request({
+          method: "GET",
+          path: "/v1/info",
+          timeout: { response: timeout, deadline: timeout },
+          retries: 0,
+          message: "Token driver health check failed",
+        });
+        return { healthy: true, details: response.body };
+      } catch (error) {
+        if (error instanceof NotFoundError) {
+          return { healthy: true };
+        }
+        throw error;
+      }
+    });
   };
 
   /**
    * @async
    * @function sendParseDetokRequest
    * @param {string} detokString - The string to be detokenized.
-   * @throws Will throw an error if the request cannot be processed.
+   * @throws {CoreRegistryApiError} Will throw an error if the request cannot be processed.
    * @return {Promise<Object>} The API response body.
    */
   sendParseDetokRequest = async (detokString) => {
-    try {
-      const url = `${this.tokenDriverUri}/v1/tokens/parse-detokenization?content=${detokString}`;
-
-      this.logger.debug(`GET ${url}`);
-      const response = await superagent
-        .get(url)
-        .set(this.maybeAppendTokenDriverApiKey());
-      return response.body;
-    } catch (error) {
-      throw new Error(`Detokenize api could not process request: ${error}`);
-    }
+    const response = await this.request({
+      method: "GET",
+      path: "/v1/tokens/parse-detokenization",
+      query: { content: detokString },
+      message: "Detokenize api could not process request",
+    });
+
+    return response.body;
   };
 
   /**
    * Waits for confirmation of token creation.
    *
    * @param {string} transactionId - The transaction ID
-   * @param {number} [retry=0] - The retry count
-   * @returns {Promise<boolean>} True if confirmed, false otherwise
+   * @param {Object} [options] - Function options, plus the WaitOptions `signal`, `timeout`, `deadline` and `onProgress`.
+   * @param {number} [options.interval=30000] - Milliseconds between checks, defaults to the pollInterval option if set
+   * @param {number} [options.maxRetries=60] - Checks to make before giving up
+   * @returns {Promise<boolean>} True once the transaction is confirmed
+   * @throws {SyncTimeoutError} If the transaction is not confirmed in time
+   * @throws {WaitAbortedError} If the wait is aborted
+   * @throws {CoreRegistryApiError} If the token driver cannot be queried
    */
   waitForTokenizationTransactionConfirmation = async (
     transactionId,
-    retry = 0
+    options = {}
   ) => {
-    if (retry > 60) {
-      return false;
-    }
-
-    try {
-      await waitFor(30000);
-      this.logger.debug(
-        `GET ${this.tokenDriverUri}/v1/transactions/${transactionId}`
-      );
-      const response = await superagent
-        .get(`${this.tokenDriverUri}/v1/transactions/${transactionId}`)
-        .set(this.maybeAppendTokenDriverApiKey());
+    const { maxRetries = 60 } = options;
+    const interval = options.interval ?? this.pollInterval ?? 30000;
+    const path = `/v1/transactions/${encodeURIComponent(transactionId)}`;
+    const message = `Token creation transaction ${transactionId} was not confirmed`;
+    const wait = createWait("tokenization-transaction", options, {
+      service: "token-driver",
+      method: "GET",
+      url: `${this.transport.getServiceUri("token-driver")}${path}`,
+    });
+
+    await wait.sleep(interval, message);
+
+    while (wait.nextAttempt() <= maxRetries + 1) {
+      const response = await this.request({
+        method: "GET",
+        path,
+        signal: wait.signal,
+        message: `Error confirming token creation: ${transactionId}`,
+      });
 
       if (response.body?.record?.confirmed) {
+        wait.progress("confirmed", { transactionId });
         return true;
       }
 
-      await waitFor(30000);
-      return this.waitForTokenizationTransactionConfirmation(
-        transactionId,
-        retry + 1
-      );
-    } catch (error) {
-      this.logger.error(
-        `Error confirming token creation: ${transactionId}, ${error.message}`
-      );
-      return false;
+      wait.progress("unconfirmed", { transactionId });
+      await wait.sleep(interval, message);
     }
+
+    throw new SyncTimeoutError(
+      `${message} after ${maxRetries} retries`,
+      wait.details
+    );
   };
 
   /**
@@ -100,30 +154,17 @@ class TokenDriverApi {
    * @returns {Promise<Object>} - A promise that resolves to an object containing the confirmation response.
    */
   confirmDetokanization = async (payload) => {
-    try {
-      const assetId = payload?.token?.asset_id;
-      if (payload.unit) {
-        delete payload.unit;
-      }
-
-      return handleApiRequestWithRetries(async () => {
-        this.logger.debug(
-          `PUT ${this.tokenDriverUri}/v1/tokens/${assetId}/detokenize`
-        );
-        return await superagent
-          .put(`${this.tokenDriverUri}/v1/tokens/${assetId}/detokenize`)
-          .send(payload)
-          .set(
-            this.maybeAppendTokenDriverApiKey({
-              "Content-Type": "application/json",
-            })
-          );
-      });
-    } catch (error) {
-      throw new Error(
-        `Detokenization could not be confirmed: ${error.message}`
-      );
+    const assetId = payload?.token?.asset_id;
+    if (payload.unit) {
+      delete payload.unit;
     }
+
+    return await this.request({
+      method: "PUT",
+      path: `/v1/tokens/${encodeURIComponent(assetId)}/detokenize`,
+      body: payload,
+      message: "Detokenization could not be confirmed",
+    });
   };
 
   /**
@@ -133,45 +174,21 @@ class TokenDriverApi {
    * @function
    * @param {TokenizationBody} tokenizationBody - The request body containing token and payment details.
    * @returns {Promise<TokenCreatedResponse>} The token creation response.
-   * @throws {Error} If the Token Driver API key is invalid.
+   * @throws {CoreRegistryApiError} If the token could not be created.
    */
   createToken = async (tokenizationBody) => {
-    try {
-      this.logger.debug(`POST ${this.tokenDriverUri}/v1/tokens`);
-      const response = await superagent
-        .post(`${this.tokenDriverUri}/v1/tokens`)
-        .send(tokenizationBody)
-        .set(
-          this.maybeAppendTokenDriverApiKey({
-            "Content-Type": "application/json",
-          })
-        );
-
-      if (response.status === 403) {
-        throw new Error(
-          "Token Driver API key is invalid, please check your config.yaml."
-        );
-      }
-
-      this.logger.trace(
-        `Token creation response: ${JSON.stringify(response.body)}`
-      );
-
-      return response?.body;
-    } catch (error) {
-      this.logger.error(
-        `Token creation could not be initiated: ${error.message}`
-      );
-
-      // Log additional information if present in the error object
-      if (error.response && error.response.body) {
-        this.logger.error(
-          `Additional error details: ${JSON.stringify(error.response.body)}`
-        );
-      }
-
-      return null;
-    }
+    const response = await this.request({
+      method: "POST",
+      path: "/v1/tokens",
+      body: tokenizationBody,
+      message: "Token creation could not be initiated",
+    });
+
+    this.logger.trace(
+      `Token creation response: ${JSON.stringify(response.body)}`
+    );
+
+    return response?.body;
   };
 }
 
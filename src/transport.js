@@ -0,0 +1,277 @@
+const superagent = require("superagent");
+const { generateUriForHostAndPort, createWait } = require("./utils");
+const {
+  AuthenticationError,
+  UpstreamUnavailableError,
+  TimeoutError,
+  ConfigError,
+  WaitAbortedError,
+  toApiError,
+} = require("./errors");
+
+/**
+ * The upstream services the transport knows how to reach, keyed by the
+ * service name used in errors and logs.
+ */
+const services = {
+  registry: {
+    configSection: "CADT",
+    timeout: { response: 60000, deadline: 300000 },
+  },
+  "token-driver": {
+    configSection: "CHIA_CLIMATE_TOKENIZATION",
+    timeout: { response: 60000, deadline: 300000 },
+  },
+  "retirement-explorer": {
+    configSection: "RETIREMENT_EXPLORER",
+    timeout: { response: 300000, deadline: 600000 },
+  },
+};
+
+const idempotentMethods = ["GET", "HEAD", "OPTIONS", "PUT", "DELETE"];
+
+const retryableStatuses = [408, 429, 502, 503, 504];
+
+/**
+ * Parses a Retry-After header into a delay in milliseconds.
+ *
+ * @param {string|undefined} retryAfter - The header value, in seconds or as an HTTP date
+ * @returns {number|null} The delay in milliseconds or null if absent or invalid
+ */
+const parseRetryAfter = (retryAfter) => {
+  if (!retryAfter) {
+    return null;
+  }
+
+  const seconds = Number(retryAfter);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(retryAfter);
+  if (Number.isNaN(date)) {
+    return null;
+  }
+
+  return Math.max(0, date - Date.now());
+};
+
+/**
+ * HTTP transport shared by the API clients. Resolves service base URIs from
+ * config, adds API keys, applies per-service timeouts, retries idempotent
+ * requests with exponential backoff and jitter, and turns failures into
+ * typed errors.
+ *
+ * Any object with a compatible `request` method can be passed to the clients
+ * in its place, e.g. to route requests through a mock.
+ */
+class HttpTransport {
+  /**
+   * @param {Object} config - The client config
+   * @param {Object} logger - The logger
+   * @param {Object} [options] - Transport options.
+   * @param {Object} [options.agent=superagent] - A superagent compatible agent used to send requests
+   * @param {Object} [options.timeouts] - Per-service `{ response, deadline }` timeouts in milliseconds
+   * @param {number} [options.retries=3] - Retries for idempotent requests
+   * @param {number} [options.retryDelay=500] - Base delay of the exponential backoff in milliseconds
+   * @param {number} [options.maxRetryDelay=30000] - Upper bound of any single retry delay in milliseconds
+   */
+  constructor(config, logger, options = {}) {
+    this.config = config;
+    this.logger = logger;
+    this.agent = options.agent || superagent;
+    this.timeouts = options.timeouts || {};
+    this.retries = options.retries ?? 3;
+    this.retryDelay = options.retryDelay ?? 500;
+    this.maxRetryDelay = options.maxRetryDelay ?? 30000;
+  }
+
+  /**
+   * Gets the config section of a service.
+   *
+   * @param {string} service - The service name
+   * @returns {Object} The config section
+   * @throws {ConfigError} If the config has no section for the service
+   */
+  getServiceConfig = (service) => {
+    if (!services[service]) {
+      throw new ConfigError(`Unknown service: ${service}`);
+    }
+
+    const { configSection } = services[service];
+    if (!this.config?.[configSection]) {
+      throw new ConfigError(
+        `Missing ${configSection} config section for ${service}`,
+        {
+          service,
+          errors: [{ field: configSection, message: "section is missing" }],
+        }
+      );
+    }
+
+    return this.config[configSection];
+  };
+
+  /**
+   * Gets the base URI of a service.
+   *
+   * @param {string} service - The service name
+   * @returns {string} The base URI
+   */
+  getServiceUri = (service) => {
+    const { PROTOCOL, HOST, PORT } = this.getServiceConfig(service);
+    return generateUriForHostAndPort(PROTOCOL, HOST, PORT);
+  };
+
+  /**
+   * Calculates how long to wait before the given retry.
+   *
+   * @param {number} attempt - The number of attempts made so far
+   * @param {Error} error - The error of the last attempt
+   * @returns {number} The delay in milliseconds
+   */
+  getRetryDelay = (attempt, error) => {
+    const retryAfter = parseRetryAfter(
+      error.response?.headers?.["retry-after"]
+    );
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, this.maxRetryDelay);
+    }
+
+    // Full jitter: a random delay up to the exponential backoff ceiling
+    const ceiling = Math.min(
+      this.maxRetryDelay,
+      this.retryDelay * 2 ** (attempt - 1)
+    );
+    return Math.round(Math.random() * ceiling);
+  };
+
+  /**
+   * Checks if a failed attempt may be retried.
+   *
+   * @param {CoreRegistryApiError} error - The typed error of the failed attempt
+   * @returns {boolean} True if the request is worth retrying
+   */
+  isRetryable = (error) => {
+    if (error instanceof AuthenticationError) {
+      return false;
+    }
+
+    return (
+      error instanceof UpstreamUnavailableError ||
+      error instanceof TimeoutError ||
+      retryableStatuses.includes(error.status)
+    );
+  };
+
+  /**
+   * Sends a request to a service.
+   *
+   * @param {Object} request - The request.
+   * @param {string} request.service - The service name, e.g. "registry"
+   * @param {string} request.method - The HTTP method
+   * @param {string} request.path - The path below the service base URI
+   * @param {Object} [request.query] - Query parameters, encoded by the agent
+   * @param {*} [request.body] - The request body, sent as JSON
+   * @param {Object} [request.headers] - Additional headers
+   * @param {Object} [request.timeout] - `{ response, deadline }` overriding the service timeouts
+   * @param {number} [request.retries] - Retries overriding the default, also enables retries for non-idempotent methods
+   * @param {AbortSignal} [request.signal] - Aborts the request in flight and any retry delay
+   * @param {string} [request.message] - Describes the request in logs and errors
+   * @returns {Promise<Object>} The response, with `status`, `headers` and `body`
+   * @throws {WaitAbortedError} If the signal is aborted
+   * @throws {CoreRegistryApiError} If the request fails after all retries
+   */
+  request = async ({
+    service,
+    method,
+    path,
+    query,
+    body,
+    headers = {},
+    timeout,
+    retries,
+    signal,
+    message = `${method} ${path} failed`,
+  }) => {
+    const serviceConfig = this.getServiceConfig(service);
+    const url = `${this.getServiceUri(service)}${path}`;
+    const maxRetries =
+      retries ?? (idempotentMethods.includes(method) ? this.retries : 0);
+
+    const requestHeaders = { ...headers };
+    if (serviceConfig.API_KEY) {
+      requestHeaders["x-api-key"] = serviceConfig.API_KEY;
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        if (signal?.aborted) {
+          throw signal.reason;
+        }
+
+        this.logger.debug(`${method} ${url}`);
+
+        let req = this.agent[method.toLowerCase()](url)
+          .set(requestHeaders)
+          .timeout({
+            ...services[service].timeout,
+            ...this.timeouts[service],
+            ...timeout,
+          });
+
+        if (query) {
+          req = req.query(query);
+        }
+
+        if (body !== undefined) {
+          req = req.send(body);
+        }
+
+        // A block body, the request is thenable and EventTarget would await it
+        const abort = () => {
+          req.abort();
+        };
+        signal?.addEventListener("abort", abort, { once: true });
+        try {
+          return await req;
+        } finally {
+          signal?.removeEventListener("abort", abort);
+        }
+      } catch (rawError) {
+        if (signal?.aborted) {
+          throw new WaitAbortedError(`${message}: the request was aborted`, {
+            service,
+            method,
+            url,
+            cause: signal.reason,
+          });
+        }
+
+        const error = toApiError(rawError, { service, method, url, message });
+
+        if (attempt <= maxRetries && this.isRetryable(error)) {
+          const delay = this.getRetryDelay(attempt, rawError);
+          this.logger.warn(
+            `${message}: ${rawError.message}. Retrying in ${delay}ms (${attempt}/${maxRetries})`
+          );
+          await createWait("request-retry", { signal }).sleep(delay, message);
+          continue;
+        }
+
+        this.logger.error(`${message}: ${rawError.message}`);
+
+        // Log additional information if present in the error object
+        if (error.responseBody) {
+          this.logger.error(
+            `Additional error details: ${JSON.stringify(error.responseBody)}`
+          );
+        }
+
+        throw error;
+      }
+    }
+  };
+}
+
+module.exports = HttpTransport;
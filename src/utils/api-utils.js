@@ -1,27 +1,3 @@
-const { waitFor } = require('./helpers');
-
-/**
- * Handles API request retries.
- * @param {Function} requestFn - Function containing the API request logic
- * @param {number} [maxRetries=3] - Maximum number of retries
- * @param {number} [retryInterval=5000] - Interval between retries in milliseconds
- * @returns {Promise<any>} A promise that resolves with the API request result
- */
-const handleApiRequestWithRetries = async (requestFn, maxRetries = 3, retryInterval = 5000) => {
-  let retries = 0;
-  while (retries < maxRetries) {
-    try {
-      return await requestFn();
-    } catch (error) {
-      retries += 1;
-      if (retries >= maxRetries) {
-        throw error;
-      }
-      await waitFor(retryInterval);
-    }
-  }
-};
-
 /**
  * Generate a URI for a given host and optional port, using the specified protocol.
  * @param {string} protocol - The protocol (e.g., 'http', 'https').
@@ -56,8 +32,6 @@ const updateQueryWithParam = (query, ...params) => {
 };
 
 module.exports = {
-  waitFor,
-  handleApiRequestWithRetries,
   generateUriForHostAndPort,
   updateQueryWithParam,
 };
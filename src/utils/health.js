@@ -0,0 +1,42 @@
+/**
+ * @typedef {Object} DependencyHealth
+ * @property {boolean} healthy - True if the dependency is usable
+ * @property {number} latencyMs - Milliseconds the check took
+ * @property {string|null} reason - Why the dependency is unhealthy, null if it is healthy
+ * @property {string} [error] - Name of the error that failed the check, e.g. "AuthenticationError"
+ * @property {Object} [details] - What the check found, e.g. the home org or the store roots
+ */
+
+/**
+ * Runs a health check and times it. The check resolves to
+ * `{ healthy, reason, details }`; a thrown error marks the dependency
+ * unhealthy with the error message as the reason.
+ *
+ * @param {Function} check - Async function running the check
+ * @returns {Promise<DependencyHealth>} The result of the check
+ */
+const checkDependency = async (check) => {
+  const startedAt = Date.now();
+
+  try {
+    const { healthy, reason = null, details } = await check();
+    return {
+      healthy,
+      latencyMs: Date.now() - startedAt,
+      reason: healthy ? null : reason,
+      ...(details && { details }),
+    };
+  } catch (error) {
+    return {
+      healthy: false,
+      latencyMs: Date.now() - startedAt,
+      reason: error.message,
+      error: error.name,
+      ...(error.status && { details: { status: error.status } }),
+    };
+  }
+};
+
+module.exports = {
+  checkDependency,
+};
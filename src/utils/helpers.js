@@ -1,3 +1,5 @@
+const { parseSerialNumberBlock } = require("./serial-number");
+
 /**
  * Sleeps for the given time in milliseconds.
  * @param {number} ms - Time in milliseconds to sleep
@@ -7,28 +9,72 @@ const waitFor = async (ms) => {
   return new Promise((resolve) => setTimeout(resolve, ms));
 };
 
+/**
+ * Splits a serial number block into its prefix, start and end.
+ *
+ * @param {string} serialNumberBlock - The `prefix-start-end` serial number block
+ * @returns {{prefix: string|null, unitBlockStart: string, unitBlockEnd: string}} The parts of the block
+ * @throws {SerialNumberError} If the block is malformed
+ */
 const parseSerialNumber = (serialNumberBlock) => {
-  const serialNumberBlockPattern = /^([a-zA-Z0-9]+-)?(\d+)-(\d+)$/;
-  const matches = serialNumberBlock.match(serialNumberBlockPattern);
+  const { prefix, start, end, width } =
+    parseSerialNumberBlock(serialNumberBlock);
+
+  return {
+    prefix,
+    unitBlockStart: start.toString().padStart(width, "0"),
+    unitBlockEnd: end.toString().padStart(width, "0"),
+  };
+};
+
+/**
+ * Lists the fields that differ between two records.
+ *
+ * @param {Object} [before={}] - The record before the change
+ * @param {Object} [after={}] - The record after the change
+ * @returns {Object<string, {before: *, after: *}>} The changed fields
+ */
+const diffFields = (before = {}, after = {}) => {
+  const changes = {};
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
 
-  if (!matches) {
-    return undefined; // Return undefined for wrong format
-  }
+  keys.forEach((key) => {
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      changes[key] = { before: before[key], after: after[key] };
+    }
+  });
 
-  let prefix = null;
-  let unitBlockStart;
-  let unitBlockEnd;
+  return changes;
+};
 
-  if (matches[1]) {
-    prefix = matches[1].slice(0, -1); // Remove the trailing hyphen
-  }
-  unitBlockStart = matches[2];
-  unitBlockEnd = matches[3];
+/**
+ * Normalizes an asset id, which may be written with a 0x prefix or in upper
+ * case, so asset ids from different sources compare equal.
+ *
+ * @param {string} assetId - The asset id
+ * @returns {string} The asset id without prefix, in lower case
+ */
+const normalizeAssetId = (assetId) => {
+  return String(assetId).replace(/^0x/i, "").toLowerCase();
+};
 
-  return { prefix, unitBlockStart, unitBlockEnd };
+/**
+ * Lists the spellings an asset id may be stored with: as given, and in lower
+ * case with and without the 0x prefix. CADT matches marketplaceIdentifier
+ * exactly, so lookups have to ask for each.
+ *
+ * @param {string} assetId - The asset id
+ * @returns {Array<string>} The distinct spellings
+ */
+const getAssetIdVariants = (assetId) => {
+  const normalized = normalizeAssetId(assetId);
+  return [...new Set([String(assetId), normalized, `0x${normalized}`])];
 };
 
 module.exports = {
   waitFor,
   parseSerialNumber,
+  diffFields,
+  normalizeAssetId,
+  getAssetIdVariants,
 };
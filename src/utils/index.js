@@ -1,7 +1,13 @@
 const apiUtils = require('./api-utils');
+const health = require('./health');
 const helpers = require('./helpers');
+const serialNumber = require('./serial-number');
+const wait = require('./wait');
 
 module.exports = {
   ...apiUtils,
-  ...helpers
+  ...health,
+  ...helpers,
+  ...serialNumber,
+  ...wait
 };
\ No newline at end of file
@@ -0,0 +1,299 @@
+const { SerialNumberError } = require("../errors");
+
+const serialNumberBlockPattern =
+  /^(?:([a-zA-Z0-9][a-zA-Z0-9-]*)-)?(\d+)-(\d+)$/;
+
+/**
+ * @typedef {Object} SerialNumberBlock
+ * @property {string|null} prefix - The prefix before the numeric range, if any
+ * @property {bigint} start - The first serial number of the block
+ * @property {bigint} end - The last serial number of the block
+ * @property {number} width - Digits to zero pad numbers to, 0 for no padding
+ */
+
+/**
+ * Parses a `prefix-start-end` serial number block.
+ *
+ * @param {string|SerialNumberBlock} serialNumberBlock - The serial number block
+ * @returns {SerialNumberBlock} The parsed block
+ * @throws {SerialNumberError} If the block is malformed or ends before it starts
+ */
+const parseSerialNumberBlock = (serialNumberBlock) => {
+  if (typeof serialNumberBlock === "object" && serialNumberBlock !== null) {
+    return serialNumberBlock;
+  }
+
+  if (typeof serialNumberBlock !== "string") {
+    throw new SerialNumberError(
+      `Serial number block must be a string: ${serialNumberBlock}`
+    );
+  }
+
+  const matches = serialNumberBlock.trim().match(serialNumberBlockPattern);
+
+  if (!matches) {
+    throw new SerialNumberError(
+      `Serial number block is not in the prefix-start-end format: ${serialNumberBlock}`
+    );
+  }
+
+  const [, prefix = null, startDigits, endDigits] = matches;
+  const start = BigInt(startDigits);
+  const end = BigInt(endDigits);
+
+  if (end < start) {
+    throw new SerialNumberError(
+      `Serial number block ends before it starts: ${serialNumberBlock}`
+    );
+  }
+
+  const isPadded = startDigits.length > 1 && startDigits.startsWith("0");
+
+  return {
+    prefix,
+    start,
+    end,
+    width: isPadded ? startDigits.length : 0,
+  };
+};
+
+/**
+ * Formats a serial number block back to its canonical string.
+ *
+ * @param {SerialNumberBlock} block - The block
+ * @returns {string} The `prefix-start-end` string
+ */
+const formatSerialNumberBlock = ({ prefix, start, end, width = 0 }) => {
+  const pad = (value) => value.toString().padStart(width, "0");
+  const range = `${pad(start)}-${pad(end)}`;
+  return prefix ? `${prefix}-${range}` : range;
+};
+
+/**
+ * Counts the units in a serial number block.
+ *
+ * @param {string|SerialNumberBlock} serialNumberBlock - The serial number block
+ * @returns {bigint} The exact number of units
+ */
+const countSerialNumberBlock = (serialNumberBlock) => {
+  const { start, end } = parseSerialNumberBlock(serialNumberBlock);
+  return end - start + 1n;
+};
+
+/**
+ * Splits a serial number block after its first `amount` units.
+ *
+ * @param {string|SerialNumberBlock} serialNumberBlock - The serial number block
+ * @param {number|bigint} amount - Units in the first sub-block
+ * @returns {Array<SerialNumberBlock>} The two sub-blocks, in order
+ * @throws {SerialNumberError} If the amount does not leave units in both sub-blocks
+ */
+const splitSerialNumberBlock = (serialNumberBlock, amount) => {
+  const block = parseSerialNumberBlock(serialNumberBlock);
+  const count = countSerialNumberBlock(block);
+
+  if (
+    (typeof amount !== "bigint" && !Number.isSafeInteger(amount)) ||
+    BigInt(amount) <= 0n ||
+    BigInt(amount) >= count
+  ) {
+    throw new SerialNumberError(
+      `Split amount must be a whole number between 1 and ${
+        count - 1n
+      }: ${amount}`
+    );
+  }
+
+  const splitAt = block.start + BigInt(amount);
+
+  return [
+    { ...block, end: splitAt - 1n },
+    { ...block, start: splitAt },
+  ];
+};
+
+/**
+ * Sorts blocks by prefix and start.
+ *
+ * @param {Array<SerialNumberBlock>} blocks - The blocks
+ * @returns {Array<SerialNumberBlock>} A sorted copy
+ */
+const sortBlocks = (blocks) => {
+  return [...blocks].sort((a, b) => {
+    const prefixOrder = (a.prefix || "").localeCompare(b.prefix || "");
+    if (prefixOrder !== 0) {
+      return prefixOrder;
+    }
+    return a.start < b.start ? -1 : a.start > b.start ? 1 : 0;
+  });
+};
+
+/**
+ * Merges contiguous blocks with the same prefix.
+ *
+ * @param {Array<string|SerialNumberBlock>} serialNumberBlocks - The blocks to merge
+ * @returns {Array<SerialNumberBlock>} The merged blocks, sorted
+ * @throws {SerialNumberError} If any of the blocks overlap
+ */
+const mergeSerialNumberBlocks = (serialNumberBlocks) => {
+  const blocks = serialNumberBlocks.map(parseSerialNumberBlock);
+  const overlaps = findSerialNumberOverlaps(
+    blocks.map(formatSerialNumberBlock)
+  );
+  if (overlaps.length) {
+    throw new SerialNumberError(
+      `Cannot merge overlapping serial number blocks: ${overlaps
+        .map(({ a, b }) => `${a} and ${b}`)
+        .join(", ")}`
+    );
+  }
+
+  const merged = [];
+
+  for (const block of sortBlocks(blocks)) {
+    const last = merged[merged.length - 1];
+
+    if (last && last.prefix === block.prefix && last.end + 1n === block.start) {
+      last.end = block.end;
+    } else {
+      merged.push({ ...block });
+    }
+  }
+
+  return merged;
+};
+
+/**
+ * Gets the serial number block of a unit or block.
+ *
+ * @param {Object|string|SerialNumberBlock} item - A unit with a serialNumberBlock or the block itself
+ * @returns {string|SerialNumberBlock} The serial number block
+ */
+const getSerialNumberBlock = (item) => {
+  return typeof item === "string" || typeof item?.start === "bigint"
+    ? item
+    : item?.serialNumberBlock;
+};
+
+/**
+ * Finds every pair of blocks that share at least one serial number.
+ *
+ * @param {Array<Object|string|SerialNumberBlock>} items - Units with a serialNumberBlock, or blocks
+ * @returns {Array<{a: Object|string, b: Object|string}>} The overlapping pairs
+ */
+const findSerialNumberOverlaps = (items) => {
+  const entries = sortBlocks(
+    items.map((item) => ({
+      ...parseSerialNumberBlock(getSerialNumberBlock(item)),
+      item,
+    }))
+  );
+  const overlaps = [];
+
+  entries.forEach((entry, index) => {
+    for (const other of entries.slice(index + 1)) {
+      if (other.prefix !== entry.prefix || other.start > entry.end) {
+        break;
+      }
+      overlaps.push({ a: entry.item, b: other.item });
+    }
+  });
+
+  return overlaps;
+};
+
+const min = (a, b) => (a < b ? a : b);
+
+/**
+ * Finds the serial number ranges of a block that a list of blocks leaves uncovered.
+ *
+ * @param {string|SerialNumberBlock} serialNumberBlock - The block that should be covered
+ * @param {Array<string|SerialNumberBlock>} parts - The blocks covering it
+ * @returns {Array<SerialNumberBlock>} The missing ranges
+ */
+const findSerialNumberGaps = (serialNumberBlock, parts) => {
+  const block = parseSerialNumberBlock(serialNumberBlock);
+  const gaps = [];
+  let next = block.start;
+
+  for (const part of sortBlocks(parts.map(parseSerialNumberBlock))) {
+    if (part.prefix !== block.prefix || part.end < next) {
+      continue;
+    }
+    if (part.start > next) {
+      gaps.push({
+        ...block,
+        start: next,
+        end: min(part.start - 1n, block.end),
+      });
+    }
+    next = part.end + 1n;
+    if (next > block.end) {
+      break;
+    }
+  }
+
+  if (next <= block.end) {
+    gaps.push({ ...block, start: next });
+  }
+
+  return gaps;
+};
+
+/**
+ * Checks that a list of blocks covers a block exactly, without overlaps,
+ * gaps or serial numbers outside of it.
+ *
+ * @param {string|SerialNumberBlock} serialNumberBlock - The original block
+ * @param {Array<string|SerialNumberBlock>} parts - The blocks it was divided into
+ * @throws {SerialNumberError} If the parts do not partition the block
+ */
+const assertSerialNumberPartition = (serialNumberBlock, parts) => {
+  const block = parseSerialNumberBlock(serialNumberBlock);
+  const original = formatSerialNumberBlock(block);
+  const formattedParts = parts.map((part) =>
+    formatSerialNumberBlock(parseSerialNumberBlock(part))
+  );
+
+  if (findSerialNumberOverlaps(formattedParts).length) {
+    throw new SerialNumberError(
+      `Serial number blocks ${formattedParts.join(", ")} overlap`
+    );
+  }
+
+  const outside = parts
+    .map(parseSerialNumberBlock)
+    .filter(
+      (part) =>
+        part.prefix !== block.prefix ||
+        part.start < block.start ||
+        part.end > block.end
+    );
+  if (outside.length) {
+    throw new SerialNumberError(
+      `Serial number blocks ${outside
+        .map(formatSerialNumberBlock)
+        .join(", ")} are outside of ${original}`
+    );
+  }
+
+  const gaps = findSerialNumberGaps(block, parts);
+  if (gaps.length) {
+    throw new SerialNumberError(
+      `Serial number blocks ${formattedParts.join(", ")} leave ${gaps
+        .map(formatSerialNumberBlock)
+        .join(", ")} of ${original} uncovered`
+    );
+  }
+};
+
+module.exports = {
+  parseSerialNumberBlock,
+  formatSerialNumberBlock,
+  countSerialNumberBlock,
+  splitSerialNumberBlock,
+  mergeSerialNumberBlocks,
+  findSerialNumberOverlaps,
+  findSerialNumberGaps,
+  assertSerialNumberPartition,
+};
@@ -0,0 +1,227 @@
+const { SyncTimeoutError, WaitAbortedError } = require("../errors");
+
+/**
+ * @typedef {Object} WaitOptions
+ * @property {AbortSignal} [signal] - Cancels the wait, which then rejects with WaitAbortedError
+ * @property {number} [timeout] - Gives up after this many milliseconds
+ * @property {Date|number} [deadline] - Gives up at this time, as a Date or epoch milliseconds
+ * @property {function(WaitProgress): void} [onProgress] - Called before every sleep of the wait
+ */
+
+/**
+ * @typedef {Object} WaitProgress
+ * @property {string} wait - The name of the wait, e.g. "registry-sync"
+ * @property {string} status - What the wait is waiting for, e.g. "root-mismatch"
+ * @property {number} attempt - The number of checks made so far
+ * @property {number} elapsedMs - Milliseconds since the wait started
+ * @property {number|null} remainingMs - Milliseconds until the deadline, null without one
+ */
+
+/**
+ * Tracks a single long-running wait: its attempts, elapsed time, deadline
+ * and cancellation. The waiting methods of the clients create one per call,
+ * check it between polls and pass its signal to the requests they poll with.
+ */
+class Wait {
+  /**
+   * @param {string} name - The name of the wait, reported in progress events
+   * @param {WaitOptions} [options] - The caller's wait options
+   * @param {Object} [details] - Details of the awaited request, copied onto the errors
+   */
+  constructor(name, options = {}, details = {}) {
+    this.name = name;
+    this.signal = options.signal;
+    this.onProgress = options.onProgress;
+    this.details = details;
+    this.startedAt = Date.now();
+    this.attempt = 0;
+
+    const deadlines = [];
+    if (options.timeout !== undefined) {
+      deadlines.push(this.startedAt + options.timeout);
+    }
+    if (options.deadline !== undefined) {
+      deadlines.push(new Date(options.deadline).getTime());
+    }
+    this.deadline = deadlines.length ? Math.min(...deadlines) : null;
+  }
+
+  /**
+   * Gets the milliseconds since the wait started.
+   *
+   * @returns {number} The elapsed time
+   */
+  elapsed = () => {
+    return Date.now() - this.startedAt;
+  };
+
+  /**
+   * Gets the milliseconds until the deadline.
+   *
+   * @returns {number|null} The remaining time, or null without a deadline
+   */
+  remaining = () => {
+    return this.deadline === null
+      ? null
+      : Math.max(0, this.deadline - Date.now());
+  };
+
+  /**
+   * Throws if the wait was cancelled or its deadline has passed.
+   *
+   * @param {string} [message] - Describes what was awaited
+   * @throws {WaitAbortedError} If the signal was aborted
+   * @throws {SyncTimeoutError} If the deadline has passed
+   */
+  check = (message = `${this.name} did not complete`) => {
+    if (this.signal?.aborted) {
+      throw new WaitAbortedError(`${message}: the wait was aborted`, {
+        ...this.details,
+        cause: this.signal.reason,
+      });
+    }
+
+    if (this.deadline !== null && Date.now() >= this.deadline) {
+      throw new SyncTimeoutError(
+        `${message} within ${this.elapsed()}ms`,
+        this.details
+      );
+    }
+  };
+
+  /**
+   * Gets wait options for a nested wait that shares this wait's signal,
+   * deadline and progress callback.
+   *
+   * @returns {WaitOptions} The options
+   */
+  toOptions = () => {
+    return {
+      signal: this.signal,
+      deadline: this.deadline ?? undefined,
+      onProgress: this.onProgress,
+    };
+  };
+
+  /**
+   * Counts a new check of the awaited condition.
+   *
+   * @returns {number} The attempt number, starting at 1
+   */
+  nextAttempt = () => {
+    this.attempt += 1;
+    return this.attempt;
+  };
+
+  /**
+   * Reports progress to the onProgress callback. Errors thrown by the
+   * callback are ignored so a faulty listener cannot break the wait.
+   *
+   * @param {string} status - What the wait is waiting for
+   * @param {Object} [details] - Status specific details, e.g. the compared roots
+   */
+  progress = (status, details = {}) => {
+    if (!this.onProgress) {
+      return;
+    }
+
+    try {
+      this.onProgress({
+        wait: this.name,
+        status,
+        attempt: this.attempt,
+        elapsedMs: this.elapsed(),
+        remainingMs: this.remaining(),
+        ...details,
+      });
+    } catch (error) {
+      // Progress reporting must never fail the wait
+    }
+  };
+
+  /**
+   * Waits for a promise, giving up early when the signal is aborted or the
+   * deadline passes.
+   *
+   * @param {Promise<*>} promise - The promise to wait for
+   * @param {string} [message] - Describes what was awaited, used in errors
+   * @returns {Promise<*>} The value of the promise
+   * @throws {WaitAbortedError} If the signal is aborted first
+   * @throws {SyncTimeoutError} If the deadline passes first
+   */
+  race = async (promise, message) => {
+    this.check(message);
+
+    let timer;
+    let onAbort;
+    const interrupted = new Promise((_resolve, reject) => {
+      onAbort = () => {
+        try {
+          this.check(message);
+        } catch (error) {
+          reject(error);
+        }
+      };
+      this.signal?.addEventListener("abort", onAbort, { once: true });
+
+      const remaining = this.remaining();
+      if (remaining !== null) {
+        timer = setTimeout(onAbort, remaining);
+      }
+    });
+
+    try {
+      return await Promise.race([promise, interrupted]);
+    } finally {
+      clearTimeout(timer);
+      this.signal?.removeEventListener("abort", onAbort);
+    }
+  };
+
+  /**
+   * Sleeps between checks. Wakes up early when the signal is aborted and
+   * never sleeps past the deadline.
+   *
+   * @param {number} ms - Time in milliseconds to sleep
+   * @param {string} [message] - Describes what was awaited, used in errors
+   * @returns {Promise<void>} Resolves after the sleep
+   * @throws {WaitAbortedError} If the signal is aborted
+   * @throws {SyncTimeoutError} If the deadline passes
+   */
+  sleep = async (ms, message) => {
+    this.check(message);
+
+    const remaining = this.remaining();
+    const duration = remaining === null ? ms : Math.min(ms, remaining);
+
+    await new Promise((resolve) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      const timer = setTimeout(() => {
+        this.signal?.removeEventListener("abort", onAbort);
+        resolve();
+      }, duration);
+      this.signal?.addEventListener("abort", onAbort, { once: true });
+    });
+
+    this.check(message);
+  };
+}
+
+/**
+ * Creates the tracker of a long-running wait.
+ *
+ * @param {string} name - The name of the wait, reported in progress events
+ * @param {WaitOptions} [options] - The caller's wait options
+ * @param {Object} [details] - Details of the awaited request, copied onto the errors
+ * @returns {Wait} The wait
+ */
+const createWait = (name, options, details) => {
+  return new Wait(name, options, details);
+};
+
+module.exports = {
+  createWait,
+};
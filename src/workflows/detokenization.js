@@ -0,0 +1,309 @@
+const crypto = require("crypto");
+const Workflow = require("./workflow");
+const constants = require("../constants");
+const utils = require("../utils");
+const { UnexpectedResponseError, ValidationError } = require("../errors");
+
+/**
+ * Detokenizes units in one resumable run: parses the detokenization request,
+ * checks its amount against the asset's unit blocks, stages the registry
+ * changes, confirms the detokenization with the token driver, waits for the
+ * transaction and commits. Whole unit blocks lose their marketplace fields;
+ * a block that is only partly detokenized is split first and the split-off
+ * part is detokenized once the split is committed.
+ */
+class DetokenizationWorkflow extends Workflow {
+  /**
+   * @param {RegistryApi} registry - The registry client
+   * @param {TokenDriverApi} tokenDriver - The token driver client
+   * @param {Object} logger - The logger
+   * @param {Object} [options] - See Workflow
+   */
+  constructor(registry, tokenDriver, logger, options = {}) {
+    super("detokenization", logger, options);
+    this.registry = registry;
+    this.tokenDriver = tokenDriver;
+  }
+
+  /**
+   * Gets the workflow id of a detokenization request, so the same request
+   * always resumes the same run.
+   *
+   * @param {string} detokString - The detokenization request string
+   * @returns {string} The workflow id
+   */
+  getWorkflowId = (detokString) => {
+    return `detokenization-${crypto
+      .createHash("sha256")
+      .update(detokString)
+      .digest("hex")}`;
+  };
+
+  /**
+   * Parses the detokenization request with the token driver.
+   *
+   * @param {string} detokString - The detokenization request string
+   * @returns {Promise<Object>} The `assetId`, the `amount` in units and the parsed `payload`
+   * @throws {ValidationError} If the request has no asset id or a fractional amount
+   */
+  parseRequest = async (detokString) => {
+    const payload = await this.tokenDriver.sendParseDetokRequest(detokString);
+    const assetId = payload?.token?.asset_id;
+    const amount = Number(payload?.amount) / constants.catMojosPerUnit;
+
+    if (!assetId) {
+      throw new ValidationError("Detokenization request has no asset id", {
+        service: "token-driver",
+        responseBody: payload,
+      });
+    }
+
+    if (!Number.isSafeInteger(amount) || amount <= 0) {
+      throw new ValidationError(
+        `Detokenization amount must be a positive whole number of units: ${amount}`,
+        { service: "token-driver", responseBody: payload }
+      );
+    }
+
+    return { assetId, amount, payload };
+  };
+
+  /**
+   * Works out which unit blocks of the asset to detokenize, once the registry
+   * has synced.
+   *
+   * @param {Object} request - The parsed request, see parseRequest
+   * @param {Object} waitOptions - The WaitOptions of the sync wait
+   * @returns {Promise<Array<Object>>} Per unit block: the `unit`, the `action` ("detokenize" or "split"), the `amount` detokenized and the `serialNumberBlock` that ends up detokenized
+   * @throws {ValidationError} If the asset does not have enough units
+   */
+  planUnits = async ({ assetId, amount }, waitOptions) => {
+    await this.registry.waitForRegistryDataSync(waitOptions);
+
+    const blocks = await this.registry.getAvailableUnitBlocks(assetId);
+    const availableAmount = blocks.reduce(
+      (total, block) => total + block.unitCount,
+      0
+    );
+
+    if (amount > availableAmount) {
+      throw new ValidationError(
+        `Cannot detokenize ${amount} units of asset ${assetId}, only ${availableAmount} are tokenized`,
+        { service: "registry" }
+      );
+    }
+
+    const plan = [];
+    let remaining = amount;
+
+    for (const { unit, unitCount } of blocks) {
+      if (remaining === 0) {
+        break;
+      }
+
+      const detokenized = Math.min(unitCount, remaining);
+      const serialNumberBlock =
+        detokenized === unitCount
+          ? unit.serialNumberBlock
+          : utils.formatSerialNumberBlock(
+              utils.splitSerialNumberBlock(
+                utils.parseSerialNumberBlock(unit.serialNumberBlock),
+                detokenized
+              )[0]
+            );
+
+      plan.push({
+        unit,
+        action: detokenized === unitCount ? "detokenize" : "split",
+        amount: detokenized,
+        serialNumberBlock,
+      });
+      remaining -= detokenized;
+    }
+
+    return plan;
+  };
+
+  /**
+   * Gets the uuids of the staged records.
+   *
+   * @returns {Promise<Array<string>>} The uuids
+   */
+  getStagedUuids = async () => {
+    const uuids = [];
+    for await (const stagingRecord of this.registry.iterateStaging()) {
+      uuids.push(stagingRecord.uuid);
+    }
+    return uuids;
+  };
+
+  /**
+   * Stages the planned changes. Units already staged by an earlier attempt
+   * are not staged again, anything else in staging is an error.
+   *
+   * @param {Array<Object>} plan - The plan, see planUnits
+   * @returns {Promise<Array<string>>} The uuids of the staged records
+   * @throws {ValidationError} If staging holds unrelated records
+   */
+  stageUnits = async (plan) => {
+    const uuids = plan.map(({ unit }) => unit.warehouseUnitId);
+    const staged = await this.getStagedUuids();
+    await this.registry.assertStagingEmpty({ except: uuids });
+
+    for (const { unit, action, amount } of plan) {
+      if (staged.includes(unit.warehouseUnitId)) {
+        continue;
+      }
+
+      if (action === "detokenize") {
+        await this.registry.detokenizeUnit(unit, { dryRun: false });
+      } else {
+        await this.registry.splitUnit({
+          unit,
+          amount,
+          retire: false,
+          dryRun: false,
+        });
+      }
+    }
+
+    return uuids;
+  };
+
+  /**
+   * Confirms the detokenization with the token driver, which submits the
+   * transaction burning the tokens.
+   *
+   * @param {Object} payload - The parsed request
+   * @returns {Promise<{transactionId: string}>} The burn transaction
+   * @throws {UnexpectedResponseError} If the token driver returns no transaction
+   */
+  confirmDetokenization = async (payload) => {
+    const response = await this.tokenDriver.confirmDetokanization({
+      ...payload,
+    });
+    const transactionId = response?.body?.tx?.id;
+
+    if (!transactionId) {
+      throw new UnexpectedResponseError(
+        "Token driver did not return the detokenization transaction",
+        { service: "token-driver", responseBody: response?.body }
+      );
+    }
+
+    return { transactionId };
+  };
+
+  /**
+   * Stages the detokenization of the parts split off in the first commit.
+   *
+   * @param {string} assetId - The asset id
+   * @param {Array<Object>} splits - The split entries of the plan
+   * @returns {Promise<Array<string>>} The uuids of the staged records
+   * @throws {UnexpectedResponseError} If a split-off unit cannot be found
+   */
+  stageSplitUnits = async (assetId, splits) => {
+    const unitBlocks = await this.registry.getAssetUnitBlocks(assetId);
+    const units = splits.map(({ serialNumberBlock }) => {
+      const unit = unitBlocks.find(
+        (item) => item.serialNumberBlock === serialNumberBlock
+      );
+
+      if (!unit) {
+        throw new UnexpectedResponseError(
+          `Could not find the split unit ${serialNumberBlock} of asset ${assetId}`,
+          { service: "registry" }
+        );
+      }
+
+      return unit;
+    });
+    const uuids = units.map((unit) => unit.warehouseUnitId);
+    const staged = await this.getStagedUuids();
+    await this.registry.assertStagingEmpty({ except: uuids });
+
+    for (const unit of units) {
+      if (!staged.includes(unit.warehouseUnitId)) {
+        await this.registry.detokenizeUnit(unit, { dryRun: false });
+      }
+    }
+
+    return uuids;
+  };
+
+  /**
+   * Runs or resumes the detokenization of a request.
+   *
+   * @param {string} detokString - The detokenization request string
+   * @param {Object} [options] - The WaitOptions `signal`, `timeout`, `deadline` and `onProgress`, shared by every wait.
+   * @returns {Promise<WorkflowState>} The completed state, with the `assetId`, `amount`, detokenized `units` and `transactionId` as its result
+   * @throws {WorkflowError} If a step fails; run again with the same string to resume
+   */
+  run = async (detokString, options = {}) => {
+    const { signal, timeout, deadline, onProgress } = options;
+    const waitOptions = utils
+      .createWait("detokenization", { signal, timeout, deadline, onProgress })
+      .toOptions();
+    const state = await this.start(this.getWorkflowId(detokString), {
+      detokString,
+    });
+
+    if (state.status === "completed") {
+      return state;
+    }
+
+    const request = await this.step(state, "parse", () =>
+      this.parseRequest(detokString)
+    );
+    const plan = await this.step(state, "plan", () =>
+      this.planUnits(request, waitOptions)
+    );
+    const stagedUuids = await this.step(state, "stage", () =>
+      this.stageUnits(plan)
+    );
+    const { transactionId } = await this.step(state, "confirm", () =>
+      this.confirmDetokenization(request.payload)
+    );
+    await this.step(state, "wait-for-transaction", () =>
+      this.tokenDriver.waitForTokenizationTransactionConfirmation(
+        transactionId,
+        waitOptions
+      )
+    );
+    await this.step(state, "commit", () =>
+      this.registry.commitStagingData({
+        ...waitOptions,
+        dryRun: false,
+        expectedUuids: stagedUuids,
+      })
+    );
+
+    const splits = plan.filter(({ action }) => action === "split");
+    if (splits.length) {
+      const splitUuids = await this.step(state, "stage-split-units", () =>
+        this.stageSplitUnits(request.assetId, splits)
+      );
+      await this.step(state, "commit-split-units", () =>
+        this.registry.commitStagingData({
+          ...waitOptions,
+          dryRun: false,
+          expectedUuids: splitUuids,
+        })
+      );
+    }
+
+    return this.complete(state, {
+      assetId: request.assetId,
+      amount: request.amount,
+      units: plan.map(({ unit, action, amount, serialNumberBlock }) => ({
+        warehouseUnitId: unit.warehouseUnitId,
+        action,
+        amount,
+        serialNumberBlock,
+      })),
+      transactionId,
+    });
+  };
+}
+
+module.exports = DetokenizationWorkflow;
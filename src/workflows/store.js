@@ -0,0 +1,100 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * @typedef {Object} WorkflowStore
+ * @property {Function} load - `async (id) => state|null`
+ * @property {Function} save - `async (state) => void`
+ */
+
+/**
+ * Keeps workflow states in memory, so a workflow can be resumed until the
+ * process exits.
+ */
+class MemoryWorkflowStore {
+  constructor() {
+    this.states = new Map();
+  }
+
+  /**
+   * Loads the state of a workflow.
+   *
+   * @param {string} id - The workflow id
+   * @returns {Promise<Object|null>} A copy of the state or null if unknown
+   */
+  load = async (id) => {
+    const state = this.states.get(id);
+    return state ? structuredClone(state) : null;
+  };
+
+  /**
+   * Saves the state of a workflow.
+   *
+   * @param {Object} state - The workflow state
+   * @returns {Promise<void>}
+   */
+  save = async (state) => {
+    this.states.set(state.id, structuredClone(state));
+  };
+}
+
+/**
+ * Keeps each workflow state in a JSON file in a directory, so a workflow can
+ * be resumed after a restart.
+ */
+class FileWorkflowStore {
+  /**
+   * @param {string} directory - The directory, created on the first save
+   */
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  /**
+   * Gets the file of a workflow.
+   *
+   * @param {string} id - The workflow id
+   * @returns {string} The file path
+   */
+  getPath = (id) => {
+    return path.join(this.directory, `${encodeURIComponent(id)}.json`);
+  };
+
+  /**
+   * Loads the state of a workflow.
+   *
+   * @param {string} id - The workflow id
+   * @returns {Promise<Object|null>} The state or null if unknown
+   */
+  load = async (id) => {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.getPath(id), "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null;
+      }
+      throw error;
+    }
+  };
+
+  /**
+   * Saves the state of a workflow. The file is replaced atomically, so a
+   * crash mid-write leaves the previous state.
+   *
+   * @param {Object} state - The workflow state
+   * @returns {Promise<void>}
+   */
+  save = async (state) => {
+    const file = this.getPath(state.id);
+    const tempFile = `${file}.${process.pid}.tmp`;
+
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.writeFile(tempFile, JSON.stringify(state, null, 2));
+    await fs.promises.rename(tempFile, file);
+  };
+}
+
+module.exports = {
+  MemoryWorkflowStore,
+  FileWorkflowStore,
+};
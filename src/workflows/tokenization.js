@@ -0,0 +1,309 @@
+const Workflow = require("./workflow");
+const constants = require("../constants");
+const utils = require("../utils");
+const {
+  TokenSubmissionError,
+  TokenSubmissionUncertainError,
+  TokenConfirmationError,
+  TokenRegistrationError,
+  UnexpectedResponseError,
+  ValidationError,
+} = require("../errors");
+
+const nonTokenizableUnitStatuses = ["Retired", "Cancelled", "Expired"];
+
+// Errors showing the token driver refused the submission, so it is safe to
+// submit again. Anything else, e.g. a timeout, may have minted the token
+const rejectedSubmissionErrors = [
+  "ValidationError",
+  "AuthenticationError",
+  "NotFoundError",
+  "ConfigError",
+];
+
+/**
+ * Tokenizes a unit in one resumable run. Its stages are "submitted" once the
+ * token driver accepted the token creation, "confirmed" once the minting
+ * transaction is on chain and "registered" once the unit carries the asset
+ * id in the warehouse. A failure in a stage is thrown as its own
+ * WorkflowError subclass.
+ */
+class TokenizationWorkflow extends Workflow {
+  /**
+   * @param {RegistryApi} registry - The registry client
+   * @param {TokenDriverApi} tokenDriver - The token driver client
+   * @param {Object} logger - The logger
+   * @param {Object} [options] - See Workflow
+   */
+  constructor(registry, tokenDriver, logger, options = {}) {
+    super("tokenization", logger, options);
+    this.registry = registry;
+    this.tokenDriver = tokenDriver;
+  }
+
+  /**
+   * Gets the workflow id of a unit, so tokenizing the same unit again resumes
+   * the earlier run instead of minting a second token.
+   *
+   * @param {string} warehouseUnitId - The warehouse unit id
+   * @returns {string} The workflow id
+   */
+  getWorkflowId = (warehouseUnitId) => {
+    return `tokenization-${warehouseUnitId}`;
+  };
+
+  /**
+   * Checks that the unit can be tokenized and builds the token creation
+   * request from it and its project.
+   *
+   * @param {string} warehouseUnitId - The warehouse unit id
+   * @param {Object} options - See run
+   * @returns {Promise<TokenizationBody>} The token creation request
+   * @throws {ValidationError} If the unit is tokenized, retired or has no project
+   */
+  buildTokenizationBody = async (warehouseUnitId, options) => {
+    const { walletAddress, sequenceNum = 0, fee } = options;
+    const { unit, project } =
+      await this.registry.getUnitDetails(warehouseUnitId);
+    const details = { service: "registry" };
+
+    if (unit.marketplaceIdentifier) {
+      throw new ValidationError(
+        `Unit ${warehouseUnitId} is already tokenized as ${unit.marketplaceIdentifier}`,
+        details
+      );
+    }
+
+    if (nonTokenizableUnitStatuses.includes(unit.unitStatus)) {
+      throw new ValidationError(
+        `Unit ${warehouseUnitId} is ${unit.unitStatus} and cannot be tokenized`,
+        details
+      );
+    }
+
+    const warehouseProjectId = unit.issuance?.warehouseProjectId;
+    if (!warehouseProjectId) {
+      throw new ValidationError(
+        `Unit ${warehouseUnitId} has no issuance linking it to a project`,
+        details
+      );
+    }
+
+    if (!project) {
+      throw new ValidationError(
+        `Project ${warehouseProjectId} of unit ${warehouseUnitId} does not exist`,
+        details
+      );
+    }
+
+    return {
+      token: {
+        org_uid: project.orgUid,
+        warehouse_project_id: project.warehouseProjectId,
+        vintage_year: unit.vintageYear,
+        sequence_num: sequenceNum,
+      },
+      payment: {
+        amount: unit.unitCount * constants.catMojosPerUnit,
+        to_address: walletAddress,
+        ...(fee !== undefined && { fee }),
+      },
+    };
+  };
+
+  /**
+   * Submits the token creation to the token driver.
+   *
+   * @param {TokenizationBody} tokenizationBody - The token creation request
+   * @returns {Promise<{assetId: string, transactionId: string}>} The new token
+   * @throws {UnexpectedResponseError} If the response has no asset id or transaction
+   */
+  submitToken = async (tokenizationBody) => {
+    const response = await this.tokenDriver.createToken(tokenizationBody);
+    const assetId = response?.token?.asset_id;
+    const transactionId = response?.tx?.id;
+
+    if (!assetId || !transactionId) {
+      throw new UnexpectedResponseError(
+        "Token driver did not return the asset id and transaction of the new token",
+        { service: "token-driver", responseBody: response }
+      );
+    }
+
+    return { assetId, transactionId };
+  };
+
+  /**
+   * Gets the submission of an earlier run, when the token driver may have
+   * accepted it although the run never saw the response: the run stopped
+   * while submitting, or the submission failed without being refused.
+   *
+   * @param {WorkflowState} state - The state
+   * @returns {WorkflowStep|null} The uncertain submit step, null if submitting is safe
+   */
+  getUncertainSubmission = (state) => {
+    const step = state.steps.find((item) => item.name === "submit");
+
+    if (
+      !step ||
+      step.status === "completed" ||
+      (step.status === "failed" &&
+        rejectedSubmissionErrors.includes(step.error?.name))
+    ) {
+      return null;
+    }
+
+    return step;
+  };
+
+  /**
+   * Links the unit to its token in the warehouse and waits until the
+   * registry has no pending transactions. A unit that already carries the
+   * asset id, or whose update is already staged, is not updated again.
+   *
+   * @param {string} warehouseUnitId - The warehouse unit id
+   * @param {string} assetId - The asset id of the token
+   * @param {Object} waitOptions - The WaitOptions of the waits
+   * @returns {Promise<void>}
+   */
+  registerUnit = async (warehouseUnitId, assetId, waitOptions) => {
+    const unit = await this.registry.getUnit(warehouseUnitId);
+
+    if (unit.marketplaceIdentifier !== assetId) {
+      const staged = await this.registry.getStagedChanges({ table: "Units" });
+
+      if (!staged.some(({ uuid }) => uuid === warehouseUnitId)) {
+        await this.registry.updateUnit(
+          {
+            ...unit,
+            marketplace: constants.tokenizedMarketplace,
+            marketplaceIdentifier: assetId,
+          },
+          { dryRun: false, before: unit }
+        );
+      }
+
+      await this.registry.commitStagingData({
+        ...waitOptions,
+        dryRun: false,
+        expectedUuids: [warehouseUnitId],
+      });
+    }
+
+    await this.registry.confirmTokenRegistrationOnWarehouse(waitOptions);
+  };
+
+  /**
+   * Runs or resumes the tokenization of a unit.
+   *
+   * @param {Object} options - Function options, plus the WaitOptions `signal`, `timeout`, `deadline` and `onProgress` shared by every wait.
+   * @param {Object|string} options.unit - The unit or its warehouseUnitId
+   * @param {string} options.walletAddress - The wallet address receiving the tokens
+   * @param {number} [options.sequenceNum=0] - The sequence number of the token
+   * @param {number} [options.fee] - The transaction fee in mojos
+   * @param {{assetId: string, transactionId: string}} [options.submitted] - The token an operator found was minted by an uncertain submission, used instead of submitting again
+   * @param {boolean} [options.resubmit=false] - Submit again after an operator confirmed an uncertain submission minted no token
+   * @returns {Promise<WorkflowState>} The completed state, with the `warehouseUnitId`, `assetId` and `transactionId` as its result
+   * @throws {WorkflowError} If the unit cannot be tokenized
+   * @throws {TokenSubmissionUncertainError} If an earlier submission may have minted the token, see `submitted` and `resubmit`
+   * @throws {TokenSubmissionError} If the token driver does not accept the token
+   * @throws {TokenConfirmationError} If the minting transaction does not confirm
+   * @throws {TokenRegistrationError} If the unit cannot be linked to its token in the warehouse
+   */
+  run = async (options) => {
+    const { unit, walletAddress, signal, timeout, deadline, onProgress } =
+      options;
+    const warehouseUnitId =
+      typeof unit === "string" ? unit : unit?.warehouseUnitId;
+
+    if (!warehouseUnitId || !walletAddress) {
+      throw new ValidationError(
+        "A unit and a wallet address are needed to tokenize",
+        { service: "token-driver" }
+      );
+    }
+
+    const waitOptions = utils
+      .createWait("tokenization", { signal, timeout, deadline, onProgress })
+      .toOptions();
+    const state = await this.start(this.getWorkflowId(warehouseUnitId), {
+      warehouseUnitId,
+      walletAddress,
+    });
+
+    if (state.status === "completed") {
+      return state;
+    }
+
+    const tokenizationBody = await this.step(state, "prepare", () =>
+      this.buildTokenizationBody(warehouseUnitId, options)
+    );
+
+    // The token driver is not idempotent, so never submit twice unless an
+    // operator confirmed the earlier submission minted nothing
+    const uncertain = this.getUncertainSubmission(state);
+    if (uncertain && !options.submitted && !options.resubmit) {
+      const reason = uncertain.error
+        ? `failed with ${uncertain.error.message}`
+        : "was interrupted";
+
+      state.status = "failed";
+      state.error = {
+        step: "submit",
+        name: "TokenSubmissionUncertainError",
+        message: `Earlier submission ${reason}`,
+      };
+      await this.save(state);
+
+      throw new TokenSubmissionUncertainError(
+        `Token creation of unit ${warehouseUnitId} ${reason}, so the token may have been minted. Check the token driver and wallet, then run again with \`submitted\` set to the token found, or \`resubmit: true\` if none was minted`,
+        {
+          workflowId: state.id,
+          step: "submit",
+          service: "token-driver",
+        }
+      );
+    }
+
+    const { assetId, transactionId } = await this.step(
+      state,
+      "submit",
+      async () => {
+        if (!options.submitted) {
+          return this.submitToken(tokenizationBody);
+        }
+
+        const { assetId: submittedAssetId, transactionId: submittedTxId } =
+          options.submitted;
+        if (!submittedAssetId || !submittedTxId) {
+          throw new ValidationError(
+            "The submitted token needs an assetId and a transactionId",
+            { service: "token-driver" }
+          );
+        }
+        return { assetId: submittedAssetId, transactionId: submittedTxId };
+      },
+      { stage: "submitted", error: TokenSubmissionError }
+    );
+    await this.step(
+      state,
+      "confirm",
+      () =>
+        this.tokenDriver.waitForTokenizationTransactionConfirmation(
+          transactionId,
+          waitOptions
+        ),
+      { stage: "confirmed", error: TokenConfirmationError }
+    );
+    await this.step(
+      state,
+      "register",
+      () => this.registerUnit(warehouseUnitId, assetId, waitOptions),
+      { stage: "registered", error: TokenRegistrationError }
+    );
+
+    return this.complete(state, { warehouseUnitId, assetId, transactionId });
+  };
+}
+
+module.exports = TokenizationWorkflow;
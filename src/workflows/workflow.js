@@ -0,0 +1,186 @@
+const { MemoryWorkflowStore } = require("./store");
+const { WorkflowError } = require("../errors");
+
+/**
+ * @typedef {Object} WorkflowStep
+ * @property {string} name - The step name
+ * @property {string} status - "running", "completed" or "failed"
+ * @property {number} attempts - How often the step was started
+ * @property {*} [result] - What the step returned, reused when the workflow is resumed
+ * @property {{name: string, message: string}} [error] - Why the last attempt failed
+ * @property {string} startedAt - When the last attempt started
+ * @property {string} [completedAt] - When the step completed
+ */
+
+/**
+ * @typedef {Object} WorkflowState
+ * @property {string} id - The workflow id
+ * @property {string} type - The workflow type, e.g. "detokenization"
+ * @property {string} status - "running", "completed" or "failed"
+ * @property {string|null} stage - The stage the workflow has reached, for workflows that name them
+ * @property {Object} input - What the workflow was started with
+ * @property {Array<WorkflowStep>} steps - The steps started so far, in order
+ * @property {*} result - The result once completed
+ * @property {{step: string, name: string, message: string}|null} error - Why the workflow failed
+ * @property {string} createdAt - When the workflow was started
+ * @property {string} updatedAt - When the state last changed
+ */
+
+/**
+ * Runs the steps of a multi-step operation, saving the state after each
+ * one. Starting a workflow with the id of a failed run skips the steps that
+ * already completed and reuses their results.
+ */
+class Workflow {
+  /**
+   * @param {string} type - The workflow type, e.g. "detokenization"
+   * @param {Object} logger - The logger
+   * @param {Object} [options] - Workflow options.
+   * @param {WorkflowStore} [options.store] - Keeps the workflow states, defaults to a MemoryWorkflowStore
+   */
+  constructor(type, logger, options = {}) {
+    this.type = type;
+    this.logger = logger;
+    this.store = options.store || new MemoryWorkflowStore();
+  }
+
+  /**
+   * Saves a workflow state.
+   *
+   * @param {WorkflowState} state - The state
+   * @returns {Promise<void>}
+   */
+  save = async (state) => {
+    state.updatedAt = new Date().toISOString();
+    await this.store.save(state);
+  };
+
+  /**
+   * Gets the saved state of a workflow.
+   *
+   * @param {string} id - The workflow id
+   * @returns {Promise<WorkflowState|null>} The state or null if unknown
+   */
+  getState = (id) => {
+    return this.store.load(id);
+  };
+
+  /**
+   * Starts a workflow, or resumes it if a state with the id was saved.
+   *
+   * @param {string} id - The workflow id
+   * @param {Object} input - What the workflow is started with
+   * @returns {Promise<WorkflowState>} The state
+   */
+  start = async (id, input) => {
+    const saved = await this.store.load(id);
+
+    if (saved) {
+      if (saved.status !== "completed") {
+        this.logger.info(`Resuming ${this.type} ${id}`);
+        saved.status = "running";
+        saved.error = null;
+        await this.save(saved);
+      }
+      return saved;
+    }
+
+    const state = {
+      id,
+      type: this.type,
+      status: "running",
+      stage: null,
+      input,
+      steps: [],
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+    };
+    await this.save(state);
+    return state;
+  };
+
+  /**
+   * Runs a step unless it already completed in an earlier run.
+   *
+   * @param {WorkflowState} state - The state
+   * @param {string} name - The step name
+   * @param {Function} run - Async function doing the work, its result must be JSON serializable
+   * @param {Object} [options] - Step options.
+   * @param {string} [options.stage] - The stage the workflow reaches when the step completes
+   * @param {Function} [options.error=WorkflowError] - The WorkflowError subclass thrown if the step fails
+   * @returns {Promise<*>} The result of the step
+   * @throws {WorkflowError} If the step fails, with the failure as its cause
+   */
+  step = async (state, name, run, options = {}) => {
+    const { stage, error: StepError = WorkflowError } = options;
+    let step = state.steps.find((item) => item.name === name);
+
+    if (step?.status === "completed") {
+      this.logger.debug(`Skipping completed ${this.type} step ${name}`);
+      return step.result;
+    }
+
+    if (!step) {
+      step = { name, attempts: 0 };
+      state.steps.push(step);
+    }
+
+    step.status = "running";
+    step.attempts += 1;
+    step.startedAt = new Date().toISOString();
+    delete step.error;
+    await this.save(state);
+
+    try {
+      const result = await run();
+
+      step.status = "completed";
+      step.result = result ?? null;
+      step.completedAt = new Date().toISOString();
+      if (stage) {
+        state.stage = stage;
+      }
+      await this.save(state);
+
+      return result;
+    } catch (error) {
+      step.status = "failed";
+      step.error = { name: error.name, message: error.message };
+      state.status = "failed";
+      state.error = { step: name, ...step.error };
+      await this.save(state);
+
+      throw new StepError(
+        `Step ${name} of ${state.id} failed: ${error.message}`,
+        {
+          workflowId: state.id,
+          step: name,
+          service: error.service,
+          method: error.method,
+          url: error.url,
+          status: error.status,
+          responseBody: error.responseBody,
+          cause: error,
+        }
+      );
+    }
+  };
+
+  /**
+   * Marks a workflow completed.
+   *
+   * @param {WorkflowState} state - The state
+   * @param {*} result - The result of the workflow
+   * @returns {Promise<WorkflowState>} The state
+   */
+  complete = async (state, result) => {
+    state.status = "completed";
+    state.result = result;
+    state.error = null;
+    await this.save(state);
+    return state;
+  };
+}
+
+module.exports = Workflow;
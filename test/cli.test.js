@@ -0,0 +1,101 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { run } = require("../src/cli");
+const { createMockEnvironment } = require("../testing");
+
+const createStream = () => ({
+  output: "",
+  write(chunk) {
+    this.output += chunk;
+  },
+});
+
+describe("cli", () => {
+  let env;
+  let dir;
+
+  const cli = async (...argv) => {
+    const stdout = createStream();
+    const stderr = createStream();
+    const code = await run(
+      [...argv, "--config", path.join(dir, "config.yaml")],
+      {
+        stdout,
+        stderr,
+        env: {},
+      }
+    );
+    return { code, stdout: stdout.output, stderr: stderr.output };
+  };
+
+  before(async () => {
+    env = await createMockEnvironment();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "core-registry-cli-"));
+    // JSON is valid YAML
+    fs.writeFileSync(
+      path.join(dir, "config.yaml"),
+      JSON.stringify(env.getConfig())
+    );
+  });
+
+  after(async () => {
+    await env.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("shows the planned retirement in a dry run without staging it", async () => {
+    const unit = env.addUnit();
+
+    const { code, stdout } = await cli(
+      "unit",
+      "retire",
+      unit.warehouseUnitId,
+      "--beneficiary-name",
+      "Beneficiary",
+      "--beneficiary-address",
+      "xch1beneficiary",
+      "--dry-run"
+    );
+
+    assert.equal(code, 0);
+    assert.match(stdout, /^Dry run, would send PUT .*\/v1\/units\n/);
+    const payload = JSON.parse(stdout.slice(stdout.indexOf("\n") + 1));
+    assert.equal(payload.warehouseUnitId, unit.warehouseUnitId);
+    assert.equal(payload.unitStatus, "Retired");
+    assert.equal(payload.unitOwner, "Beneficiary");
+    assert.equal(payload.unitStatusReason, "xch1beneficiary");
+    assert.equal(env.state.staging.length, 0);
+  });
+
+  it("prints the plan as JSON with --json", async () => {
+    const { code, stdout } = await cli(
+      "cursor",
+      "set",
+      "42",
+      "--dry-run",
+      "--json"
+    );
+
+    assert.equal(code, 0);
+    const plan = JSON.parse(stdout);
+    assert.equal(plan.dryRun, true);
+    assert.equal(plan.method, "POST");
+    assert.deepEqual(plan.payload, { lastRetiredBlockHeight: "42" });
+    assert.equal(plan.after, 42);
+    assert.equal(
+      env.state.metadata[env.getHomeOrg().orgUid].lastRetiredBlockHeight,
+      undefined
+    );
+  });
+
+  it("reports a missing argument with exit code 1", async () => {
+    const { code, stdout, stderr } = await cli("unit", "retire", "--dry-run");
+
+    assert.equal(code, 1);
+    assert.equal(stdout, "");
+    assert.equal(stderr, "Error: Missing warehouseUnitId\n");
+  });
+});
@@ -0,0 +1,78 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadConfig, clientSections } = require("../src/config");
+
+const load = (options) =>
+  loadConfig({
+    configPath: false,
+    sections: clientSections.client,
+    ...options,
+  });
+
+describe("loadConfig", () => {
+  let dir;
+  let configPath;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "core-registry-config-"));
+    configPath = path.join(dir, "config.yaml");
+    fs.writeFileSync(
+      configPath,
+      "CADT:\n  HOST: file-host\n  PORT: 1000\n  API_KEY: file-key\n"
+    );
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("lets environment variables override the file and code", () => {
+    const config = load({
+      configPath,
+      config: { CADT: { HOST: "code-host", PORT: 2000 } },
+      env: { CORE_REGISTRY_CADT_PORT: "3000" },
+    });
+
+    assert.equal(config.CADT.HOST, "code-host");
+    assert.equal(config.CADT.PORT, 3000);
+    assert.equal(config.CADT.API_KEY, "file-key");
+  });
+
+  it("reads an empty API key as no key", () => {
+    const config = load({
+      configPath,
+      env: { CORE_REGISTRY_CADT_API_KEY: "" },
+    });
+
+    assert.equal(config.CADT.API_KEY, null);
+  });
+
+  it("assigns a variable to the longest matching section", () => {
+    const config = load({
+      env: {
+        CORE_REGISTRY_CHIA_CLIMATE_TOKENIZATION_HOST: "token-driver",
+        CORE_REGISTRY_CHIA_ALLOW_SELF_SIGNED_CERTIFICATES: "true",
+      },
+    });
+
+    assert.equal(config.CHIA_CLIMATE_TOKENIZATION.HOST, "token-driver");
+    assert.equal(config.CHIA.ALLOW_SELF_SIGNED_CERTIFICATES, true);
+    assert.equal(config.CHIA.HOST, undefined);
+  });
+
+  it("ignores variables without the prefix", () => {
+    const config = load({ env: { CADT_PORT: "3000" } });
+
+    assert.notEqual(config.CADT.PORT, 3000);
+  });
+
+  it("rejects an invalid override", () => {
+    assert.throws(() => load({ env: { CORE_REGISTRY_CADT_PORT: "abc" } }), {
+      name: "ConfigError",
+      errors: [{ field: "CADT.PORT", message: "must be a whole number" }],
+    });
+  });
+});
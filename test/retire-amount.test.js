@@ -0,0 +1,151 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createMockEnvironment } = require("../testing");
+
+const assetId = "ab".repeat(32);
+
+const heldUnits = (env) =>
+  env.state.units.filter(
+    (unit) =>
+      unit.marketplaceIdentifier === assetId && unit.unitStatus === "Held"
+  );
+
+const retiredCount = (env) =>
+  env.state.units
+    .filter((unit) => unit.unitStatus === "Retired")
+    .reduce((total, unit) => total + unit.unitCount, 0);
+
+describe("RegistryApi#retireAmount", () => {
+  let env;
+  let client;
+
+  beforeEach(async () => {
+    env = await createMockEnvironment();
+    client = env.createClient(undefined, { pollInterval: 1 });
+  });
+
+  afterEach(async () => {
+    await env.close();
+  });
+
+  it("retires whole blocks and splits the last one", async () => {
+    env.addUnit({
+      marketplaceIdentifier: assetId,
+      serialNumberBlock: "MOCK-1-3",
+    });
+    env.addUnit({
+      marketplaceIdentifier: assetId,
+      serialNumberBlock: "MOCK-4-8",
+    });
+
+    const report = await client.registry.retireAmount({
+      marketplaceIdentifier: assetId,
+      amount: 5,
+      beneficiaryName: "Beneficiary",
+    });
+    assert.deepEqual(
+      report.units.map(({ action, amount }) => ({ action, amount })),
+      [
+        { action: "retire", amount: 3 },
+        { action: "split", amount: 2 },
+      ]
+    );
+
+    await client.registry.commitStagingData();
+
+    assert.equal(retiredCount(env), 5);
+    assert.deepEqual(
+      heldUnits(env).map((unit) => unit.serialNumberBlock),
+      ["MOCK-6-8"]
+    );
+  });
+
+  it("plans the retirement in a dry run without staging it", async () => {
+    env.addUnit({
+      marketplaceIdentifier: assetId,
+      serialNumberBlock: "MOCK-1-5",
+    });
+
+    const report = await client.registry.retireAmount({
+      marketplaceIdentifier: assetId,
+      amount: 2,
+      dryRun: true,
+    });
+
+    assert.equal(report.dryRun, true);
+    assert.equal(report.units[0].action, "split");
+    assert.ok(report.units[0].plan);
+    assert.equal(env.state.staging.length, 0);
+  });
+
+  it("rejects more than the available amount", async () => {
+    env.addUnit({
+      marketplaceIdentifier: assetId,
+      serialNumberBlock: "MOCK-1-3",
+    });
+
+    await assert.rejects(
+      client.registry.retireAmount({
+        marketplaceIdentifier: assetId,
+        amount: 4,
+      }),
+      { name: "ValidationError" }
+    );
+    assert.equal(env.state.staging.length, 0);
+  });
+
+  it("does not retire a journaled retirement twice", async () => {
+    env.addUnit({
+      marketplaceIdentifier: assetId,
+      serialNumberBlock: "MOCK-1-5",
+    });
+    const options = {
+      marketplaceIdentifier: assetId,
+      amount: 2,
+      coinId: "0xcoin",
+      height: 10,
+    };
+
+    await client.registry.retireAmount(options);
+    const resumed = await client.registry.retireAmount(options);
+    assert.equal(resumed.resumed, true);
+    assert.equal(env.state.staging.length, 1);
+
+    await client.registry.commitStagingData();
+    await client.registry.markRetirementsCommitted(["0xcoin"]);
+
+    const repeated = await client.registry.retireAmount(options);
+    assert.equal(repeated.alreadyRetired, true);
+    assert.equal(retiredCount(env), 2);
+  });
+
+  it("rolls back and retires again after a crash part way through", async () => {
+    env.addUnit({
+      marketplaceIdentifier: assetId,
+      serialNumberBlock: "MOCK-1-3",
+    });
+    env.addUnit({
+      marketplaceIdentifier: assetId,
+      serialNumberBlock: "MOCK-4-8",
+    });
+    env.injectFault({ service: "registry", path: "/v1/units/split" });
+    const options = {
+      marketplaceIdentifier: assetId,
+      amount: 5,
+      coinId: "0xcoin",
+      height: 10,
+    };
+
+    await assert.rejects(client.registry.retireAmount(options));
+    const entry = await client.registry.retirementJournal.get("0xcoin");
+    assert.equal(entry.status, "pending");
+    assert.equal(env.state.staging.length, 1);
+
+    const report = await client.registry.retireAmount(options);
+    assert.equal(report.resumed, undefined);
+    assert.equal(report.units.length, 2);
+
+    await client.registry.commitStagingData();
+    assert.equal(retiredCount(env), 5);
+  });
+});
@@ -0,0 +1,107 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createMockEnvironment } = require("../testing");
+
+const assetId = "ab".repeat(32);
+
+const retiredCount = (env) =>
+  env.state.units
+    .filter((unit) => unit.unitStatus === "Retired")
+    .reduce((total, unit) => total + unit.unitCount, 0);
+
+const addRetirement = (env, height, units, activity = {}) =>
+  env.addActivity({
+    token: { asset_id: assetId },
+    height,
+    amount: units * 1000,
+    ...activity,
+  });
+
+describe("RetirementSyncer", () => {
+  let env;
+  let client;
+
+  beforeEach(async () => {
+    env = await createMockEnvironment();
+    client = env.createClient(undefined, { pollInterval: 1 });
+  });
+
+  afterEach(async () => {
+    await env.close();
+  });
+
+  it("retires every activity and checkpoints the last height", async () => {
+    env.addUnit({
+      marketplaceIdentifier: assetId,
+      serialNumberBlock: "MOCK-1-10",
+    });
+    addRetirement(env, 5, 2);
+    addRetirement(env, 6, 3);
+
+    const summary = await client.retirementSyncer.run();
+
+    assert.equal(summary.reports.length, 2);
+    assert.equal(summary.lastProcessedHeight, 6);
+    assert.equal(await client.registry.getLastProcessedHeight(), 6);
+    assert.equal(retiredCount(env), 5);
+    assert.equal(env.state.staging.length, 0);
+
+    const next = await client.retirementSyncer.run();
+    assert.equal(next.startHeight, 6);
+    assert.equal(next.reports.length, 0);
+  });
+
+  it("resumes the staged retirements after a failed commit", async () => {
+    env.addUnit({
+      marketplaceIdentifier: assetId,
+      serialNumberBlock: "MOCK-1-2",
+    });
+    env.addUnit({
+      marketplaceIdentifier: assetId,
+      serialNumberBlock: "MOCK-3-4",
+    });
+    addRetirement(env, 5, 2);
+    addRetirement(env, 6, 2);
+    env.injectFault({ service: "registry", path: "/v1/staging/commit" });
+
+    await assert.rejects(client.retirementSyncer.run());
+    assert.equal(await client.registry.getLastProcessedHeight(), 0);
+    assert.equal(env.state.staging.length, 2);
+
+    const summary = await client.retirementSyncer.run();
+
+    assert.equal(summary.reports.length, 2);
+    assert.ok(summary.reports.every((report) => report.resumed));
+    assert.equal(summary.lastProcessedHeight, 6);
+    assert.equal(retiredCount(env), 4);
+    assert.equal(env.state.staging.length, 0);
+  });
+
+  it("skips activities that can never be retired and moves past them", async () => {
+    env.addUnit({
+      marketplaceIdentifier: assetId,
+      serialNumberBlock: "MOCK-1-10",
+    });
+    const fractional = addRetirement(env, 5, 1.5);
+    const unknown = addRetirement(env, 6, 1, {
+      token: { asset_id: "cd".repeat(32) },
+    });
+    addRetirement(env, 7, 1);
+
+    const summary = await client.retirementSyncer.run();
+
+    assert.deepEqual(
+      summary.skipped.map((activity) => activity.coinId),
+      [fractional.coin_id, unknown.coin_id]
+    );
+    assert.equal(summary.reports.length, 1);
+    assert.equal(summary.lastProcessedHeight, 7);
+    assert.equal(retiredCount(env), 1);
+
+    const entry = await client.registry.retirementJournal.get(
+      fractional.coin_id
+    );
+    assert.equal(entry.status, "skipped");
+    assert.match(entry.reason, /not a whole number/);
+  });
+});
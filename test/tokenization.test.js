@@ -0,0 +1,103 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createMockEnvironment } = require("../testing");
+
+const walletAddress = "xch1mock";
+
+const addTokenizableUnit = (env) => {
+  const issuance = {
+    id: "issuance-1",
+    warehouseProjectId: "project-1",
+    startDate: "2020-01-01T00:00:00.000Z",
+    endDate: "2020-12-31T00:00:00.000Z",
+    verificationApproach: "Mock approach",
+    verificationReportDate: "2021-01-01T00:00:00.000Z",
+    verificationBody: "Mock body",
+  };
+  env.addProject({ warehouseProjectId: "project-1", issuances: [issuance] });
+
+  return env.addUnit({ issuanceId: issuance.id, issuance });
+};
+
+describe("TokenizationWorkflow", () => {
+  let env;
+
+  afterEach(async () => {
+    await env.close();
+  });
+
+  it("mints the token and links the unit to it", async () => {
+    env = await createMockEnvironment();
+    const client = env.createClient(undefined, { pollInterval: 1 });
+    const unit = addTokenizableUnit(env);
+
+    const state = await client.tokenizeUnit({ unit, walletAddress });
+
+    assert.equal(state.status, "completed");
+    assert.equal(env.state.tokens.length, 1);
+    assert.equal(state.result.assetId, env.state.tokens[0].asset_id);
+    const [registered] = env.state.units;
+    assert.equal(registered.marketplaceIdentifier, state.result.assetId);
+  });
+
+  it("resumes after the minting transaction, without minting again", async () => {
+    env = await createMockEnvironment({ autoConfirm: false });
+    const client = env.createClient(undefined, { pollInterval: 1 });
+    const unit = addTokenizableUnit(env);
+
+    await assert.rejects(
+      client.tokenizeUnit({ unit, walletAddress, timeout: 50 }),
+      { name: "TokenConfirmationError" }
+    );
+
+    env.autoConfirm = true;
+    env.confirmAll();
+    const state = await client.tokenizeUnit({ unit, walletAddress });
+
+    assert.equal(state.status, "completed");
+    assert.equal(env.state.tokens.length, 1);
+  });
+
+  it("does not submit again after an uncertain submission", async () => {
+    env = await createMockEnvironment();
+    const client = env.createClient(undefined, { pollInterval: 1 });
+    const unit = addTokenizableUnit(env);
+    env.injectFault({ service: "token-driver", path: "/v1/tokens" });
+
+    await assert.rejects(client.tokenizeUnit({ unit, walletAddress }), {
+      name: "TokenSubmissionError",
+    });
+    await assert.rejects(client.tokenizeUnit({ unit, walletAddress }), {
+      name: "TokenSubmissionUncertainError",
+    });
+    assert.equal(env.state.tokens.length, 0);
+
+    const state = await client.tokenizeUnit({
+      unit,
+      walletAddress,
+      resubmit: true,
+    });
+
+    assert.equal(state.status, "completed");
+    assert.equal(env.state.tokens.length, 1);
+  });
+
+  it("submits again after the token driver rejected the token", async () => {
+    env = await createMockEnvironment();
+    const client = env.createClient(undefined, { pollInterval: 1 });
+    const unit = addTokenizableUnit(env);
+    env.injectFault({
+      service: "token-driver",
+      path: "/v1/tokens",
+      status: 400,
+    });
+
+    await assert.rejects(client.tokenizeUnit({ unit, walletAddress }), {
+      name: "TokenSubmissionError",
+    });
+    const state = await client.tokenizeUnit({ unit, walletAddress });
+
+    assert.equal(state.status, "completed");
+    assert.equal(env.state.tokens.length, 1);
+  });
+});
@@ -0,0 +1,9 @@
+const {
+  MockEnvironment,
+  createMockEnvironment,
+} = require('./src/testing/mock-environment');
+
+module.exports = {
+  MockEnvironment,
+  createMockEnvironment,
+};